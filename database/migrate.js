@@ -1,4 +1,5 @@
 const pool = require('./config');
+const scoringRules = require('../utils/scoringRules');
 
 const createTables = async () => {
   const client = await pool.connect();
@@ -103,6 +104,390 @@ const createTables = async () => {
       )
     `);
     
+    // Scheduled economic releases (times stored in UTC, timezone kept for display)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS economic_releases (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        event_type VARCHAR(100) NOT NULL,
+        series_id VARCHAR(50) NOT NULL,
+        title VARCHAR(500) NOT NULL,
+        release_at TIMESTAMP NOT NULL,
+        timezone VARCHAR(64) DEFAULT 'America/New_York',
+        observation_date DATE,
+        source VARCHAR(20),
+        market_event_id UUID REFERENCES market_events(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(series_id, release_at)
+      )
+    `);
+    
+    // Competition seasons (weekly, monthly, quarterly)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS seasons (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        season_type VARCHAR(20) NOT NULL CHECK (season_type IN ('weekly', 'monthly', 'quarterly')),
+        name VARCHAR(100) NOT NULL,
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'closed')),
+        participants INTEGER DEFAULT 0,
+        closed_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(season_type, starts_at)
+      )
+    `);
+    
+    // Archived final standings for closed seasons
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS season_standings (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        season_id UUID NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        rank INTEGER NOT NULL,
+        points INTEGER DEFAULT 0,
+        total_predictions INTEGER DEFAULT 0,
+        correct_predictions INTEGER DEFAULT 0,
+        accuracy_percentage DECIMAL(5,2) DEFAULT 0.00,
+        avg_brier_score DECIMAL(8,6),
+        badge VARCHAR(50),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(season_id, user_id)
+      )
+    `);
+    
+    // Glicko-style skill ratings, updated once per resolved market event
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_ratings (
+        user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        rating DECIMAL(8,2) DEFAULT 1500,
+        rating_deviation DECIMAL(8,2) DEFAULT 350,
+        events_rated INTEGER DEFAULT 0,
+        last_rated_at TIMESTAMP,
+        last_event_id UUID REFERENCES market_events(id) ON DELETE SET NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Rating before and after each rated event, so a voided or re-scored event can be reversed
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rating_changes (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        event_id UUID NOT NULL REFERENCES market_events(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        previous_rating DECIMAL(8,2),
+        previous_deviation DECIMAL(8,2),
+        previous_last_rated_at TIMESTAMP,
+        previous_last_event_id UUID,
+        rating DECIMAL(8,2) NOT NULL,
+        rating_deviation DECIMAL(8,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, user_id)
+      )
+    `);
+    
+    // Daily leaderboard rank snapshots per category
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS leaderboard_rank_history (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        category VARCHAR(100) NOT NULL,
+        rank INTEGER NOT NULL,
+        points INTEGER DEFAULT 0,
+        snapshot_date DATE NOT NULL DEFAULT CURRENT_DATE,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, category, snapshot_date)
+      )
+    `);
+    
+    // Follow graph between users
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_follows (
+        follower_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        followee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (follower_id, followee_id),
+        CHECK (follower_id <> followee_id)
+      )
+    `);
+    
+    // Private groups joined with an invite code
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_groups (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        invite_code VARCHAR(16) UNIQUE NOT NULL,
+        owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS group_members (
+        group_id UUID NOT NULL REFERENCES user_groups(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        role VARCHAR(20) DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (group_id, user_id)
+      )
+    `);
+    
+    // Achievements awarded to users
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        achievement_id VARCHAR(50) NOT NULL,
+        prediction_id UUID REFERENCES predictions(id) ON DELETE SET NULL,
+        awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, achievement_id)
+      )
+    `);
+    
+    // Win streaks per user, overall and per event-type category
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_streaks (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        category VARCHAR(50) NOT NULL,
+        current_streak INTEGER DEFAULT 0,
+        started_at TIMESTAMP,
+        best_streak INTEGER DEFAULT 0,
+        best_streak_at TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, category)
+      )
+    `);
+    
+    // Ended streaks, for each user's best-streak history
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS streak_history (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        category VARCHAR(50) NOT NULL,
+        length INTEGER NOT NULL,
+        started_at TIMESTAMP,
+        ended_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ended_by_prediction_id UUID REFERENCES predictions(id) ON DELETE SET NULL
+      )
+    `);
+    
+    // Hourly crowd consensus per market event
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS consensus_snapshots (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        event_id UUID NOT NULL REFERENCES market_events(id) ON DELETE CASCADE,
+        snapshot_hour TIMESTAMP NOT NULL,
+        forecasters INTEGER DEFAULT 0,
+        consensus JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(event_id, snapshot_hour)
+      )
+    `);
+    
+    // Local copy of FRED series; each row is one value of an observation over the
+    // realtime range it was current, so revisions add rows instead of overwriting
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS series_observations (
+        series_id VARCHAR(30) NOT NULL,
+        observation_date DATE NOT NULL,
+        realtime_start DATE NOT NULL,
+        realtime_end DATE NOT NULL,
+        value DECIMAL(20,6),
+        fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (series_id, observation_date, realtime_start)
+      )
+    `);
+    
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS series_sync (
+        series_id VARCHAR(30) PRIMARY KEY,
+        last_synced_on DATE NOT NULL,
+        last_synced_at TIMESTAMP NOT NULL,
+        last_observation_date DATE,
+        observation_count INTEGER DEFAULT 0
+      )
+    `);
+    
+    // Observation date from which every ALFRED vintage of the series is stored
+    await client.query('ALTER TABLE series_sync ADD COLUMN IF NOT EXISTS vintages_from DATE');
+    
+    // Versioned scoring rules; exactly one version is the default
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS scoring_rules (
+        version INTEGER PRIMARY KEY,
+        description TEXT,
+        config JSONB NOT NULL,
+        is_default BOOLEAN DEFAULT false,
+        created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Version 1 is the built-in rules that scored every prediction before versioning
+    await client.query(
+      `INSERT INTO scoring_rules (version, description, config, is_default)
+       VALUES (1, 'Initial scoring rules', $1, true)
+       ON CONFLICT (version) DO NOTHING`,
+      [JSON.stringify({ ...scoringRules.DEFAULT_RULES, basePointsRule: 'confidence' })]
+    );
+    
+    // Audit trail of voided and re-scored predictions, with the result before and after
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS score_audit (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        prediction_id UUID NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+        event_id UUID REFERENCES market_events(id) ON DELETE SET NULL,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL CHECK (action IN ('void', 'rescore')),
+        reason TEXT,
+        performed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+        previous_result JSONB NOT NULL,
+        new_result JSONB NOT NULL,
+        resolution_data JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Prediction revisions table (one row per create/update)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS prediction_revisions (
+        id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+        prediction_id UUID NOT NULL REFERENCES predictions(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        prediction_value JSONB NOT NULL,
+        confidence INTEGER CHECK (confidence >= 0 AND confidence <= 100),
+        predicted_outcome VARCHAR(50) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Seed an initial revision for predictions created before revisions were tracked
+    await client.query(`
+      INSERT INTO prediction_revisions (prediction_id, user_id, prediction_value, confidence, predicted_outcome, created_at)
+      SELECT p.id, p.user_id, p.prediction_value, p.confidence, p.predicted_outcome, p.created_at
+      FROM predictions p
+      WHERE NOT EXISTS (SELECT 1 FROM prediction_revisions r WHERE r.prediction_id = p.id)
+    `);
+    
+    // Link predictions to the market event they forecast
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS event_id UUID REFERENCES market_events(id) ON DELETE SET NULL');
+    
+    // Server-enforced lock time and integrity flags
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS locks_at TIMESTAMP');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS flag_reason VARCHAR(100)');
+    await client.query(`
+      UPDATE predictions p
+      SET locks_at = LEAST(p.expires_at, COALESCE((SELECT e.closes_at FROM market_events e WHERE e.id = p.event_id), p.expires_at))
+      WHERE p.locks_at IS NULL
+    `);
+    await client.query(`
+      UPDATE predictions p
+      SET flag_reason = 'expires_after_release'
+      FROM market_events e
+      WHERE p.event_id = e.id
+      AND p.flag_reason IS NULL
+      AND p.expires_at > COALESCE(e.resolves_at, e.closes_at)
+    `);
+    
+    // Proper scoring rule results for resolved predictions
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS is_correct BOOLEAN');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS brier_score DECIMAL(8,6)');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS log_score DECIMAL(10,6)');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS absolute_error DECIMAL(14,6)');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS interval_score DECIMAL(14,6)');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS rps_score DECIMAL(8,6)');
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS crps_score DECIMAL(14,6)');
+    
+    // Rule version that scored each prediction, and per-event / per-season overrides
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS scoring_rule_version INTEGER REFERENCES scoring_rules(version)');
+    await client.query('ALTER TABLE market_events ADD COLUMN IF NOT EXISTS scoring_rule_version INTEGER REFERENCES scoring_rules(version)');
+    await client.query('ALTER TABLE seasons ADD COLUMN IF NOT EXISTS scoring_rule_version INTEGER REFERENCES scoring_rules(version)');
+    await client.query(`
+      UPDATE predictions SET scoring_rule_version = 1
+      WHERE is_resolved = true AND scoring_rule_version IS NULL AND actual_outcome IS DISTINCT FROM 'void'
+    `);
+    
+    // Voided predictions stay resolved for 0 points but drop out of counts and accuracy
+    await client.query('ALTER TABLE predictions ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP');
+    
+    // Expired predictions were never forecast against an outcome; clear scores stored for them
+    await client.query(`
+      UPDATE predictions
+      SET is_correct = NULL, brier_score = NULL, log_score = NULL, absolute_error = NULL,
+          interval_score = NULL, rps_score = NULL, crps_score = NULL, scoring_rule_version = NULL
+      WHERE actual_outcome = 'expired' AND (is_correct IS NOT NULL OR brier_score IS NOT NULL)
+    `);
+    
+    // Per-user forecasting skill for leaderboard ranking
+    await client.query('ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS avg_brier_score DECIMAL(8,6)');
+    await client.query('ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS avg_log_score DECIMAL(10,6)');
+    await client.query('ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS scored_predictions INTEGER DEFAULT 0');
+    await client.query('ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS correct_predictions INTEGER DEFAULT 0');
+    await client.query('ALTER TABLE leaderboard ADD COLUMN IF NOT EXISTS previous_rank INTEGER');
+    
+    // Backfill per-category leaderboard rows from resolved predictions
+    await client.query(`
+      INSERT INTO leaderboard (user_id, points, rank, category, win_streak, total_predictions, correct_predictions,
+                               accuracy_percentage, avg_brier_score, avg_log_score, scored_predictions)
+      SELECT 
+        p.user_id,
+        COALESCE(SUM(p.points_awarded), 0),
+        0,
+        p.event_type,
+        COUNT(*) FILTER (
+          WHERE COALESCE(p.is_correct, p.points_awarded > 0)
+          AND p.resolution_date > COALESCE((
+            SELECT MAX(miss.resolution_date) FROM predictions miss
+            WHERE miss.user_id = p.user_id AND miss.event_type = p.event_type AND miss.is_resolved = true
+            AND NOT COALESCE(miss.is_correct, miss.points_awarded > 0)
+          ), '-infinity'::timestamp)
+        ),
+        COUNT(*),
+        COUNT(*) FILTER (WHERE COALESCE(p.is_correct, p.points_awarded > 0)),
+        ROUND((COUNT(*) FILTER (WHERE COALESCE(p.is_correct, p.points_awarded > 0))::numeric / COUNT(*)) * 100, 2),
+        AVG(p.brier_score),
+        AVG(p.log_score),
+        COUNT(p.brier_score)
+      FROM predictions p
+      WHERE p.is_resolved = true
+      AND p.event_type IN ('cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi')
+      GROUP BY p.user_id, p.event_type
+      ON CONFLICT (user_id, category) DO NOTHING
+    `);
+    await client.query(`
+      UPDATE leaderboard
+      SET rank = ranked.new_rank
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY category ORDER BY points DESC, updated_at ASC) as new_rank
+        FROM leaderboard
+      ) ranked
+      WHERE leaderboard.id = ranked.id
+    `);
+    
+    // Seed streaks from the existing leaderboard counters
+    await client.query(`
+      INSERT INTO user_streaks (user_id, category, current_streak, best_streak, best_streak_at)
+      SELECT user_id, category, win_streak, win_streak, CASE WHEN win_streak > 0 THEN updated_at END
+      FROM leaderboard
+      WHERE category = 'overall'
+      OR category IN ('cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi')
+      ON CONFLICT (user_id, category) DO NOTHING
+    `);
+    
+    // Seed today's rank history from the current leaderboard
+    await client.query(`
+      INSERT INTO leaderboard_rank_history (user_id, category, rank, points, snapshot_date)
+      SELECT user_id, category, rank, points, CURRENT_DATE
+      FROM leaderboard
+      WHERE rank > 0
+      ON CONFLICT (user_id, category, snapshot_date) DO NOTHING
+    `);
+    
+    // Admin flag for event management endpoints
+    await client.query('ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT false');
+    
     // Create indexes for better performance
     await client.query('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_users_username ON users(username)');
@@ -111,9 +496,23 @@ const createTables = async () => {
     await client.query('CREATE INDEX IF NOT EXISTS idx_predictions_created_at ON predictions(created_at)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_leaderboard_rank ON leaderboard(rank)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_leaderboard_category ON leaderboard(category)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_leaderboard_category_points ON leaderboard(category, points DESC, updated_at ASC)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON user_sessions(user_id)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON user_sessions(expires_at)');
     await client.query('CREATE INDEX IF NOT EXISTS idx_market_events_status ON market_events(status)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_market_events_closes_at ON market_events(closes_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_predictions_event_id ON predictions(event_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_prediction_revisions_prediction_id ON prediction_revisions(prediction_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_predictions_resolution_date ON predictions(resolution_date)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_user_follows_followee ON user_follows(followee_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_seasons_status ON seasons(status, ends_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_season_standings_user_id ON season_standings(user_id)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_economic_releases_release_at ON economic_releases(event_type, release_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_streak_history_user_id ON streak_history(user_id, length DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_score_audit_prediction_id ON score_audit(prediction_id, created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_score_audit_event_id ON score_audit(event_id, created_at)');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_scoring_rules_default ON scoring_rules(is_default) WHERE is_default = true');
     
     // Create trigger to update updated_at timestamps
     await client.query(`
@@ -142,7 +541,7 @@ const createTables = async () => {
     `);
     
     console.log('✅ Database migration completed successfully!');
-    console.log('📊 Tables created: users, predictions, leaderboard, user_sessions, market_events');
+    console.log('📊 Tables created: users, predictions, leaderboard, user_sessions, market_events, economic_releases, seasons, season_standings, user_ratings, rating_changes, leaderboard_rank_history, user_follows, user_groups, group_members, user_achievements, user_streaks, streak_history, scoring_rules, score_audit, consensus_snapshots, prediction_revisions, series_observations, series_sync');
     
   } catch (error) {
     console.error('❌ Migration failed:', error);
@@ -52,7 +52,7 @@ const authenticateToken = async (req, res, next) => {
 
       // Get user data
       const userResult = await client.query(
-        'SELECT id, email, username, first_name, last_name, total_points, current_rank, is_active FROM users WHERE id = $1 AND is_active = true',
+        'SELECT id, email, username, first_name, last_name, total_points, current_rank, is_active, is_admin FROM users WHERE id = $1 AND is_active = true',
         [decoded.userId]
       );
 
@@ -12,6 +12,7 @@ const {
   createRateLimit
 } = require('../middleware/auth');
 const cacheManager = require('../utils/cache');
+const achievementEngine = require('../utils/achievements');
 
 const router = express.Router();
 
@@ -216,6 +217,7 @@ router.get('/me', authenticateToken, async (req, res) => {
     }
     
     const user = result.rows[0];
+    user.achievements = await achievementEngine.getUserAchievements(client, user.id);
     
     // Cache the user data
     await cacheManager.cacheUserSession(user.id, user);
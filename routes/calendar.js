@@ -0,0 +1,81 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { authenticateToken, handleValidationErrors, requireAdmin } = require('../middleware/auth');
+const economicCalendar = require('../utils/calendar');
+
+const router = express.Router();
+
+// GET /api/calendar - Scheduled economic releases
+router.get('/', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('event_type').optional().isLength({ min: 1, max: 100 }).withMessage('Invalid event type')
+], handleValidationErrors, async (req, res) => {
+  try {
+    // Default to the next 30 days
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+    const releases = await economicCalendar.getReleases({
+      from,
+      to,
+      eventType: req.query.event_type
+    });
+
+    res.json({ from, to, releases });
+
+  } catch (error) {
+    console.error('Get calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/calendar/import - Import a CSV or ICS release schedule (admin only)
+router.post('/import', authenticateToken, requireAdmin, [
+  body('format').isIn(['csv', 'ics']).withMessage('Format must be csv or ics'),
+  body('content').isString().isLength({ min: 1 }).withMessage('Calendar content is required')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const imported = await economicCalendar.importContent(req.body.format, req.body.content);
+
+    res.json({
+      message: 'Release calendar imported successfully',
+      imported
+    });
+
+  } catch (error) {
+    // Malformed rows and unknown timezones are client errors
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Import calendar error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// POST /api/calendar/sync - Run one create/close/resolve pass now (admin only)
+router.post('/sync', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { created, closed, resolved } = await economicCalendar.sync();
+
+    const wsManager = req.app.locals.wsManager;
+    if (wsManager) {
+      created.forEach(event => wsManager.broadcastMarketEventUpdate(event, 'opened'));
+      closed.forEach(event => wsManager.broadcastMarketEventUpdate(event, 'closed'));
+      resolved.forEach(result => wsManager.broadcastEventResolution(result.event, result.users));
+    }
+
+    res.json({
+      message: 'Calendar sync completed',
+      created: created.length,
+      closed: closed.length,
+      resolved: resolved.length
+    });
+
+  } catch (error) {
+    console.error('Calendar sync error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
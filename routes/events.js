@@ -0,0 +1,486 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const pool = require('../database/config');
+const { authenticateToken, optionalAuth, handleValidationErrors, requireAdmin } = require('../middleware/auth');
+const scoringSystem = require('../utils/scoring');
+const consensusEngine = require('../utils/consensus');
+const fredResolver = require('../utils/resolver');
+const seriesStore = require('../utils/seriesStore');
+
+const router = express.Router();
+
+const EVENT_TYPES = ['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi', 'custom'];
+
+// Validation rules
+const eventValidation = [
+  body('event_type').isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  body('title').isLength({ min: 10, max: 500 }).withMessage('Title must be 10-500 characters'),
+  body('description').optional().isLength({ max: 5000 }).withMessage('Description must be less than 5000 characters'),
+  body('resolution_criteria').isLength({ min: 10 }).withMessage('Resolution criteria must be at least 10 characters'),
+  body('opens_at').optional().isISO8601().withMessage('Opening date must be a valid date'),
+  body('closes_at').isISO8601().withMessage('Valid closing date is required'),
+  body('resolves_at').optional().isISO8601().withMessage('Resolution date must be a valid date'),
+  body('metadata').optional().isObject().withMessage('Metadata must be an object'),
+  body('metadata.outcomes').optional().isArray({ min: 2, max: 20 }).withMessage('Outcomes must be a list of 2-20 labels'),
+  body('metadata.outcomes.*').optional().isString().isLength({ min: 1, max: 100 }).withMessage('Each outcome must be a label of 1-100 characters')
+];
+
+// Which vintage of the FRED observation resolves the event, and in what units; fields live under metadata on create
+const resolutionRuleValidation = (prefix = '') => [
+  body(`${prefix}resolution_rule`).optional().isIn(fredResolver.RESOLUTION_RULES)
+    .withMessage('Resolution rule must be first_release, release_after_days or latest'),
+  body(`${prefix}resolution_days`)
+    .if(body(`${prefix}resolution_rule`).equals('release_after_days'))
+    .isInt({ min: 1, max: 3650 }).withMessage('resolution_days must be between 1 and 3650 for release_after_days'),
+  body(`${prefix}units`).optional().isIn(seriesStore.UNITS).withMessage('Units must be lin, chg, ch1, pch, pc1 or pca')
+];
+
+const resolveEventValidation = [
+  body('outcome').isLength({ min: 1, max: 100 }).withMessage('Outcome is required'),
+  body('actual_value').optional().isFloat().withMessage('Actual value must be a number'),
+  body('previous_value').optional().isFloat().withMessage('Previous value must be a number'),
+  body('actual_rate').optional().isFloat().withMessage('Actual rate must be a number')
+];
+
+const correctionValidation = [
+  body('reason').isLength({ min: 5, max: 1000 }).withMessage('Reason must be 5-1000 characters')
+];
+
+// Numeric forecasts and numeric-bucket distributions on the event can only be scored from actual_value
+const needsActualValue = async (client, eventId) => {
+  const result = await client.query(
+    `SELECT 1 FROM predictions p
+     WHERE p.event_id = $1 AND p.voided_at IS NULL
+     AND (p.predicted_outcome = 'numeric' OR (
+       p.predicted_outcome = 'distribution' AND EXISTS (
+         SELECT 1 FROM jsonb_array_elements(p.prediction_value->'buckets') bucket
+         WHERE bucket ? 'lower' OR bucket ? 'upper'
+       )
+     ))
+     LIMIT 1`,
+    [eventId]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Format a market event row for API responses
+const formatEvent = (event) => ({
+  ...event,
+  metadata: event.metadata || {}
+});
+
+// Broadcast event lifecycle changes if the WebSocket server is running
+const broadcastEventUpdate = (req, event, type) => {
+  const wsManager = req.app.locals.wsManager;
+  if (wsManager) {
+    wsManager.broadcastMarketEventUpdate(event, type);
+  }
+};
+
+// POST /api/events - Create new market event (admin only)
+router.post('/', authenticateToken, requireAdmin, eventValidation, resolutionRuleValidation('metadata.'), handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const {
+      event_type,
+      title,
+      description,
+      resolution_criteria,
+      opens_at,
+      closes_at,
+      resolves_at,
+      metadata
+    } = req.body;
+
+    const opensAt = opens_at ? new Date(opens_at) : new Date();
+    const closesAt = new Date(closes_at);
+
+    if (closesAt <= new Date()) {
+      return res.status(400).json({ error: 'Event closing date must be in the future' });
+    }
+
+    if (closesAt <= opensAt) {
+      return res.status(400).json({ error: 'Event must close after it opens' });
+    }
+
+    if (resolves_at && new Date(resolves_at) < closesAt) {
+      return res.status(400).json({ error: 'Event cannot resolve before it closes' });
+    }
+
+    const result = await client.query(
+      `INSERT INTO market_events (event_type, title, description, resolution_criteria, opens_at, closes_at, resolves_at, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [event_type, title, description || null, resolution_criteria, opensAt, closesAt, resolves_at || null, JSON.stringify(metadata || {})]
+    );
+
+    const event = result.rows[0];
+
+    broadcastEventUpdate(req, event, 'opened');
+
+    res.status(201).json({
+      message: 'Market event created successfully',
+      event: formatEvent(event)
+    });
+
+  } catch (error) {
+    console.error('Create market event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/events - List market events
+router.get('/', optionalAuth, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('event_type').optional().isIn(EVENT_TYPES).withMessage('Invalid event type'),
+  query('status').optional().isIn(['open', 'closed', 'resolved', 'void', 'all']).withMessage('Invalid status filter')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const eventType = req.query.event_type;
+    const status = req.query.status || 'all';
+
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+    let paramCount = 0;
+
+    if (eventType) {
+      paramCount++;
+      whereClause += ` AND event_type = $${paramCount}`;
+      params.push(eventType);
+    }
+
+    if (status !== 'all') {
+      paramCount++;
+      whereClause += ` AND status = $${paramCount}`;
+      params.push(status);
+    }
+
+    const eventsResult = await client.query(
+      `SELECT * FROM market_events
+       ${whereClause}
+       ORDER BY closes_at ASC
+       LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}`,
+      [...params, limit, offset]
+    );
+
+    const countResult = await client.query(
+      `SELECT COUNT(*) FROM market_events ${whereClause}`,
+      params
+    );
+
+    const totalCount = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+
+    res.json({
+      events: eventsResult.rows.map(formatEvent),
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get market events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/events/:id - Get specific market event
+router.get('/:id', optionalAuth, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT * FROM market_events WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Market event not found' });
+    }
+
+    res.json({ event: formatEvent(result.rows[0]) });
+
+  } catch (error) {
+    console.error('Get market event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/events/:id/consensus - Crowd forecast for an event and how it moved over time
+router.get('/:id/consensus', optionalAuth, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const eventResult = await client.query(
+      'SELECT id, event_type, title, status, closes_at, resolves_at, outcome FROM market_events WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (eventResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Market event not found' });
+    }
+
+    const event = eventResult.rows[0];
+    const consensus = await consensusEngine.getConsensus(client, event);
+    const history = await consensusEngine.getHistory(client, event.id);
+
+    res.json({
+      event,
+      consensus,
+      history
+    });
+
+  } catch (error) {
+    console.error('Get event consensus error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/events/:id/resolution-rule - Choose the vintage that resolves an event (admin only)
+router.put('/:id/resolution-rule', authenticateToken, requireAdmin, [
+  body('resolution_rule').isIn(fredResolver.RESOLUTION_RULES)
+    .withMessage('Resolution rule must be first_release, release_after_days or latest'),
+  ...resolutionRuleValidation()
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { resolution_rule } = req.body;
+    const rule = { resolution_rule };
+    if (resolution_rule === 'release_after_days') {
+      rule.resolution_days = parseInt(req.body.resolution_days);
+    }
+    if (req.body.units) {
+      rule.units = req.body.units;
+    }
+
+    const result = await client.query(
+      `UPDATE market_events
+       SET metadata = (COALESCE(metadata, '{}'::jsonb) - 'resolution_days') || $1::jsonb
+       WHERE id = $2 AND status IN ('open', 'closed')
+       RETURNING *`,
+      [JSON.stringify(rule), req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Market event not found or already resolved' });
+    }
+
+    res.json({
+      message: 'Resolution rule updated successfully',
+      event: formatEvent(result.rows[0])
+    });
+
+  } catch (error) {
+    console.error('Update resolution rule error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/events/:id/close - Stop accepting predictions (admin only)
+router.post('/:id/close', authenticateToken, requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE market_events
+       SET status = 'closed',
+           closes_at = LEAST(closes_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ error: 'Market event not found or not open' });
+    }
+
+    const event = result.rows[0];
+
+    // Closing early moves the lock forward for every linked prediction
+    await client.query(
+      'UPDATE predictions SET locks_at = LEAST(locks_at, $1) WHERE event_id = $2',
+      [event.closes_at, event.id]
+    );
+
+    // The consensus at close is the event's final snapshot
+    await consensusEngine.recordSnapshot(event.id);
+
+    broadcastEventUpdate(req, event, 'closed');
+
+    res.json({
+      message: 'Market event closed successfully',
+      event: formatEvent(event)
+    });
+
+  } catch (error) {
+    console.error('Close market event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/events/:id/resolve - Record the actual outcome and score linked predictions (admin only)
+router.post('/:id/resolve', authenticateToken, requireAdmin, resolveEventValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { outcome } = req.body;
+
+    const existingResult = await client.query(
+      'SELECT status FROM market_events WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Market event not found' });
+    }
+
+    if (['resolved', 'void'].includes(existingResult.rows[0].status)) {
+      return res.status(409).json({ error: 'Market event already resolved' });
+    }
+
+    if (req.body.actual_value === undefined && await needsActualValue(client, req.params.id)) {
+      return res.status(400).json({ error: 'actual_value required to score numeric forecasts on this event' });
+    }
+
+    const resolutionData = scoringSystem.buildResolutionData(req.body);
+    const result = await scoringSystem.resolveEvent(req.params.id, outcome, resolutionData);
+
+    const wsManager = req.app.locals.wsManager;
+    if (wsManager) {
+      wsManager.broadcastEventResolution(result.event, result.users);
+    }
+
+    res.json({
+      message: 'Market event resolved successfully',
+      event: formatEvent(result.event),
+      totalPredictions: result.totalPredictions,
+      users: result.users.map(summary => ({
+        userId: summary.userId,
+        username: summary.username,
+        predictions: summary.predictions.length,
+        correctPredictions: summary.correctPredictions,
+        pointsAwarded: summary.pointsAwarded,
+        newTotalPoints: summary.newTotalPoints,
+        newStreak: summary.newStreak,
+        rating: summary.rating,
+        ratingChange: summary.ratingChange,
+        achievements: summary.achievements
+      }))
+    });
+
+  } catch (error) {
+    if (error.status === 404 || error.status === 409) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Resolve market event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Shared handler for re-resolving or voiding a resolved event
+const correctEvent = async (req, res, outcome, resolutionData) => {
+  const client = await pool.connect();
+
+  try {
+    const existingResult = await client.query(
+      'SELECT status FROM market_events WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Market event not found' });
+    }
+
+    if (!['resolved', 'void'].includes(existingResult.rows[0].status)) {
+      return res.status(400).json({ error: 'Only resolved market events can be corrected' });
+    }
+
+    if (outcome !== 'void' && resolutionData.actualValue === undefined && await needsActualValue(client, req.params.id)) {
+      return res.status(400).json({ error: 'actual_value required to score numeric forecasts on this event' });
+    }
+
+    const result = await scoringSystem.rescoreEvent(req.params.id, outcome, resolutionData, {
+      reason: req.body.reason,
+      performedBy: req.user.id
+    });
+
+    broadcastEventUpdate(req, result.event, outcome === 'void' ? 'voided' : 'rescored');
+
+    res.json({
+      message: outcome === 'void' ? 'Market event voided successfully' : 'Market event re-scored successfully',
+      event: formatEvent(result.event),
+      corrections: result.corrections,
+      ratingChanges: result.ratingChanges
+    });
+
+  } catch (error) {
+    console.error('Correct market event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/events/:id/rescore - Re-resolve with revised data and re-score its predictions (admin only)
+router.post('/:id/rescore', authenticateToken, requireAdmin, resolveEventValidation, correctionValidation, handleValidationErrors, (req, res) =>
+  correctEvent(req, res, req.body.outcome, scoringSystem.buildResolutionData(req.body))
+);
+
+// POST /api/events/:id/void - Void a resolved event and take back its points (admin only)
+router.post('/:id/void', authenticateToken, requireAdmin, correctionValidation, handleValidationErrors, (req, res) =>
+  correctEvent(req, res, 'void', {})
+);
+
+// GET /api/events/:id/audit - Score corrections made to this event's predictions (admin only)
+router.get('/:id/audit', authenticateToken, requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT a.*, u.username
+       FROM score_audit a
+       JOIN users u ON a.user_id = u.id
+       WHERE a.event_id = $1
+       ORDER BY a.created_at DESC`,
+      [req.params.id]
+    );
+
+    res.json({ audit: result.rows });
+
+  } catch (error) {
+    console.error('Get event audit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
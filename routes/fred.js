@@ -0,0 +1,50 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { handleValidationErrors, createRateLimit } = require('../middleware/auth');
+const fredClient = require('../utils/fred');
+
+const router = express.Router();
+
+// Per-client limit; the server-wide FRED quota is enforced in the client itself
+const fredRateLimit = createRateLimit(60 * 1000, 60, 'Too many FRED requests');
+
+const CACHE_TTL = parseInt(process.env.FRED_CACHE_TTL) || 3600;
+const FRED_DATE = /^\d{4}-\d{2}-\d{2}$/;
+const UNITS = ['lin', 'chg', 'ch1', 'pch', 'pc1', 'pca', 'cch', 'cca', 'log'];
+
+// GET /api/fred/series/:id/observations - Cached FRED observations, without exposing the API key
+router.get('/series/:id/observations', fredRateLimit, [
+  param('id').matches(/^[A-Za-z0-9_]{1,30}$/).withMessage('Invalid series ID'),
+  query('observation_start').optional().matches(FRED_DATE).withMessage('observation_start must be YYYY-MM-DD'),
+  query('observation_end').optional().matches(FRED_DATE).withMessage('observation_end must be YYYY-MM-DD'),
+  query('sort_order').optional().isIn(['asc', 'desc']).withMessage('sort_order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: 100000 }).withMessage('limit must be between 1 and 100000'),
+  query('units').optional().isIn(UNITS).withMessage('Invalid units')
+], handleValidationErrors, async (req, res) => {
+  try {
+    // Only known parameters, in a fixed order, so equal requests share a cache entry
+    const params = { series_id: req.params.id.toUpperCase() };
+    ['observation_start', 'observation_end', 'sort_order', 'limit', 'units'].forEach(key => {
+      if (req.query[key] !== undefined) params[key] = req.query[key];
+    });
+
+    const { data, cached } = await fredClient.cachedRequest('series/observations', params, CACHE_TTL);
+
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
+    res.json(data);
+
+  } catch (error) {
+    if (error.status === 400 || error.status === 404) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error.status === 429) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(429).json({ error: 'FRED rate limit reached, try again later', retryAfter: error.retryAfter });
+    }
+
+    console.error('FRED proxy error:', error);
+    res.status(error.status === 503 ? 503 : 502).json({ error: 'FRED data unavailable' });
+  }
+});
+
+module.exports = router;
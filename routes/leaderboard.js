@@ -3,93 +3,196 @@ const { query } = require('express-validator');
 const pool = require('../database/config');
 const { optionalAuth, handleValidationErrors } = require('../middleware/auth');
 const cacheManager = require('../utils/cache');
+const scoringSystem = require('../utils/scoring');
+const seasonManager = require('../utils/seasons');
+const achievementEngine = require('../utils/achievements');
 
 const router = express.Router();
 
+// Leaderboard orderings: raw points or forecasting skill (proper scoring rules)
+const SORT_ORDERS = {
+  points: 'l.points DESC',
+  brier: 'l.avg_brier_score ASC',
+  log: 'l.avg_log_score DESC'
+};
+const MIN_SKILL_PREDICTIONS = 3;
+const MIN_CATEGORY_PREDICTIONS = 3;
+// Rating leaderboard: ranked by a conservative estimate (rating minus two deviations)
+const RATING_ORDER = '(r.rating - 2 * r.rating_deviation) DESC';
+const MIN_RATED_EVENTS = 3;
+const CATEGORIES = ['overall', ...scoringSystem.EVENT_CATEGORIES, ...seasonManager.SEASON_TYPES, 'rating'];
+
+// Tier bands by points, shared by rankings and /stats
+const TIERS = {
+  beginner: { min: 0, max: 99, color: '#64748b' },
+  intermediate: { min: 100, max: 499, color: '#059669' },
+  advanced: { min: 500, max: 999, color: '#dc2626' },
+  pro: { min: 1000, max: 4999, color: '#7c3aed' },
+  expert: { min: 5000, max: 9999, color: '#ea580c' },
+  legend: { min: 10000, max: null, color: '#fbbf24' }
+};
+
+// SQL CASE expression mapping a points column to its tier name
+const tierCase = (column) => {
+  const bands = Object.entries(TIERS)
+    .sort((a, b) => b[1].min - a[1].min)
+    .map(([name, band]) => `WHEN COALESCE(${column}, 0) >= ${band.min} THEN '${name.charAt(0).toUpperCase()}${name.slice(1)}'`);
+  return `CASE ${bands.join(' ')} END`;
+};
+
+// User ids visible in a leaderboard scope: yourself plus everyone you follow,
+// or the members of a group. Returns null if the user is not in the group.
+const getScopeUserIds = async (client, scope, userId) => {
+  if (scope === 'following') {
+    const result = await client.query(
+      'SELECT followee_id FROM user_follows WHERE follower_id = $1',
+      [userId]
+    );
+    return [userId, ...result.rows.map(row => row.followee_id)];
+  }
+  
+  const groupId = scope.slice('group:'.length);
+  const membership = await client.query(
+    'SELECT 1 FROM group_members WHERE group_id = $1 AND user_id = $2',
+    [groupId, userId]
+  );
+  
+  if (membership.rows.length === 0) {
+    return null;
+  }
+  
+  const result = await client.query(
+    'SELECT user_id FROM group_members WHERE group_id = $1',
+    [groupId]
+  );
+  return result.rows.map(row => row.user_id);
+};
+
 // GET /api/leaderboard - Get leaderboard by category
 router.get('/', optionalAuth, [
-  query('category').optional().isIn(['overall', 'cpi', 'unemployment', 'fed_rate', 'gdp', 'weekly', 'monthly']).withMessage('Invalid category'),
+  query('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  query('scope').optional().matches(/^(global|following|group:[0-9a-f-]{36})$/i).withMessage('Scope must be global, following or group:<id>'),
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
-  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('sort').optional().isIn(Object.keys(SORT_ORDERS)).withMessage('Invalid sort order')
 ], handleValidationErrors, async (req, res) => {
   const client = await pool.connect();
   
   try {
     const category = req.query.category || 'overall';
+    const scope = req.query.scope || 'global';
+    const sort = req.query.sort || 'points';
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const offset = (page - 1) * limit;
     
-    // Check cache first
-    const cacheKey = `${category}_${page}_${limit}`;
-    const cachedLeaderboard = await cacheManager.getLeaderboard(cacheKey);
+    const isTimeBased = seasonManager.SEASON_TYPES.includes(category);
+    const isRating = category === 'rating';
     
-    if (cachedLeaderboard) {
-      return res.json(cachedLeaderboard);
+    if (sort !== 'points' && (isTimeBased || isRating)) {
+      return res.status(400).json({ error: 'Skill sorting is not available for season or rating leaderboards' });
     }
     
+    // Following and group leaderboards rank the same way, restricted to a set of users
+    let scopeUserIds = null;
+    if (scope !== 'global') {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required for scoped leaderboards' });
+      }
+      
+      scopeUserIds = await getScopeUserIds(client, scope, req.user.id);
+      
+      if (!scopeUserIds) {
+        return res.status(403).json({ error: 'You are not a member of this group' });
+      }
+    }
+    
+    // Skill rankings only include users with enough scored predictions;
+    // event-type categories need a minimum number of resolved predictions
+    const orderBy = SORT_ORDERS[sort];
+    let rowFilter = sort === 'points' ? '' : `AND l.scored_predictions >= ${MIN_SKILL_PREDICTIONS}`;
+    if (!isTimeBased && !isRating && category !== 'overall') {
+      rowFilter += ` AND l.total_predictions >= ${MIN_CATEGORY_PREDICTIONS}`;
+    }
+    
+    // Check cache first (scoped leaderboards are per user and not cached)
+    const cacheKey = `${category}_${sort}_${page}_${limit}`;
+    if (!scopeUserIds) {
+      const cachedLeaderboard = await cacheManager.getLeaderboard(cacheKey);
+      
+      if (cachedLeaderboard) {
+        return res.json(cachedLeaderboard);
+      }
+    }
+    
+    // Season leaderboards count points resolved during the current season
+    const season = isTimeBased ? await seasonManager.getCurrentSeason(client, category) : null;
+    
+    // Appends the scope's user list as the next query parameter
+    const scopeFilter = (params) => {
+      if (!scopeUserIds) return '';
+      params.push(scopeUserIds);
+      return `AND u.id = ANY($${params.length})`;
+    };
+    
     let query = '';
     let params = [limit, offset];
     
-    if (category === 'overall') {
+    if (isRating) {
+      const scopeClause = scopeFilter(params);
       query = `
         SELECT 
-          ROW_NUMBER() OVER (ORDER BY l.points DESC, u.created_at ASC) as position,
+          ROW_NUMBER() OVER (ORDER BY ${RATING_ORDER}, u.created_at ASC) as position,
           u.id,
           u.username,
           u.first_name,
           u.last_name,
           u.avatar_url,
+          ROUND(r.rating) as rating,
+          ROUND(r.rating_deviation) as rating_deviation,
+          ROUND(r.rating - 2 * r.rating_deviation) as conservative_rating,
+          r.events_rated,
           l.points,
-          l.win_streak,
-          l.total_predictions,
           l.accuracy_percentage,
-          l.badge,
-          CASE 
-            WHEN l.points >= 10000 THEN 'Legend'
-            WHEN l.points >= 5000 THEN 'Expert'
-            WHEN l.points >= 1000 THEN 'Pro'
-            WHEN l.points >= 500 THEN 'Advanced'
-            WHEN l.points >= 100 THEN 'Intermediate'
-            ELSE 'Beginner'
-          END as tier
-        FROM leaderboard l
-        JOIN users u ON l.user_id = u.id
-        WHERE l.category = 'overall' AND u.is_active = true
-        ORDER BY l.points DESC, u.created_at ASC
+          ${tierCase('l.points')} as tier
+        FROM user_ratings r
+        JOIN users u ON r.user_id = u.id
+        LEFT JOIN leaderboard l ON l.user_id = u.id AND l.category = 'overall'
+        WHERE u.is_active = true AND r.events_rated >= ${MIN_RATED_EVENTS} ${scopeClause}
+        ORDER BY ${RATING_ORDER}, u.created_at ASC
         LIMIT $1 OFFSET $2
       `;
-    } else if (['weekly', 'monthly'].includes(category)) {
-      // Time-based leaderboards
-      const timeFilter = category === 'weekly' ? '7 days' : '30 days';
+    } else if (!isTimeBased) {
+      params.push(category);
+      const scopeClause = scopeFilter(params);
       query = `
         SELECT 
-          ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC) as position,
+          ROW_NUMBER() OVER (ORDER BY ${orderBy}, u.created_at ASC) as position,
           u.id,
           u.username,
           u.first_name,
           u.last_name,
           u.avatar_url,
-          SUM(p.points_awarded) as points,
-          COUNT(p.id) as total_predictions,
-          COUNT(CASE WHEN p.points_awarded > 0 THEN 1 END) as correct_predictions,
-          CASE 
-            WHEN COUNT(p.id) > 0 
-            THEN ROUND((COUNT(CASE WHEN p.points_awarded > 0 THEN 1 END)::numeric / COUNT(p.id)) * 100, 2)
-            ELSE 0 
-          END as accuracy_percentage
-        FROM users u
-        LEFT JOIN predictions p ON u.id = p.user_id 
-          AND p.is_resolved = true 
-          AND p.created_at >= NOW() - INTERVAL '${timeFilter}'
-        WHERE u.is_active = true
-        GROUP BY u.id, u.username, u.first_name, u.last_name, u.avatar_url
-        HAVING SUM(p.points_awarded) > 0
-        ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC
+          l.points,
+          l.win_streak,
+          l.total_predictions,
+          l.correct_predictions,
+          l.accuracy_percentage,
+          l.avg_brier_score,
+          l.avg_log_score,
+          l.scored_predictions,
+          l.badge,
+          ${tierCase('l.points')} as tier
+        FROM leaderboard l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.category = $3 AND u.is_active = true ${rowFilter} ${scopeClause}
+        ORDER BY ${orderBy}, u.created_at ASC
         LIMIT $1 OFFSET $2
       `;
     } else {
-      // Category-specific leaderboards (cpi, unemployment, etc.)
+      // Season leaderboards
+      params.push(season.starts_at, season.ends_at);
+      const scopeClause = scopeFilter(params);
       query = `
         SELECT 
           ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC) as position,
@@ -100,23 +203,25 @@ router.get('/', optionalAuth, [
           u.avatar_url,
           SUM(p.points_awarded) as points,
           COUNT(p.id) as total_predictions,
-          COUNT(CASE WHEN p.points_awarded > 0 THEN 1 END) as correct_predictions,
+          COUNT(CASE WHEN COALESCE(p.is_correct, p.points_awarded > 0) THEN 1 END) as correct_predictions,
           CASE 
             WHEN COUNT(p.id) > 0 
-            THEN ROUND((COUNT(CASE WHEN p.points_awarded > 0 THEN 1 END)::numeric / COUNT(p.id)) * 100, 2)
+            THEN ROUND((COUNT(CASE WHEN COALESCE(p.is_correct, p.points_awarded > 0) THEN 1 END)::numeric / COUNT(p.id)) * 100, 2)
             ELSE 0 
           END as accuracy_percentage
         FROM users u
         LEFT JOIN predictions p ON u.id = p.user_id 
-          AND p.event_type = $3
-          AND p.is_resolved = true
-        WHERE u.is_active = true
+          AND p.is_resolved = true 
+          AND p.voided_at IS NULL
+          AND p.actual_outcome IS DISTINCT FROM 'expired'
+          AND p.resolution_date >= $3
+          AND p.resolution_date < $4
+        WHERE u.is_active = true ${scopeClause}
         GROUP BY u.id, u.username, u.first_name, u.last_name, u.avatar_url
-        HAVING COUNT(p.id) >= 3  -- Minimum 3 predictions to be ranked
+        HAVING SUM(p.points_awarded) > 0
         ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC
         LIMIT $1 OFFSET $2
       `;
-      params.push(category);
     }
     
     const result = await client.query(query, params);
@@ -125,40 +230,38 @@ router.get('/', optionalAuth, [
     let countQuery = '';
     let countParams = [];
     
-    if (category === 'overall') {
+    if (isRating) {
+      const scopeClause = scopeFilter(countParams);
+      countQuery = `
+        SELECT COUNT(*) FROM user_ratings r
+        JOIN users u ON r.user_id = u.id
+        WHERE u.is_active = true AND r.events_rated >= ${MIN_RATED_EVENTS} ${scopeClause}
+      `;
+    } else if (!isTimeBased) {
+      countParams.push(category);
+      const scopeClause = scopeFilter(countParams);
       countQuery = `
         SELECT COUNT(*) FROM leaderboard l
         JOIN users u ON l.user_id = u.id
-        WHERE l.category = 'overall' AND u.is_active = true
+        WHERE l.category = $1 AND u.is_active = true ${rowFilter} ${scopeClause}
       `;
-    } else if (['weekly', 'monthly'].includes(category)) {
-      const timeFilter = category === 'weekly' ? '7 days' : '30 days';
+    } else {
+      countParams.push(season.starts_at, season.ends_at);
+      const scopeClause = scopeFilter(countParams);
       countQuery = `
         SELECT COUNT(*) FROM (
           SELECT u.id
           FROM users u
           LEFT JOIN predictions p ON u.id = p.user_id 
             AND p.is_resolved = true 
-            AND p.created_at >= NOW() - INTERVAL '${timeFilter}'
-          WHERE u.is_active = true
+            AND p.voided_at IS NULL
+            AND p.resolution_date >= $1
+            AND p.resolution_date < $2
+          WHERE u.is_active = true ${scopeClause}
           GROUP BY u.id
           HAVING SUM(p.points_awarded) > 0
         ) as subquery
       `;
-    } else {
-      countQuery = `
-        SELECT COUNT(*) FROM (
-          SELECT u.id
-          FROM users u
-          LEFT JOIN predictions p ON u.id = p.user_id 
-            AND p.event_type = $1
-            AND p.is_resolved = true
-          WHERE u.is_active = true
-          GROUP BY u.id
-          HAVING COUNT(p.id) >= 3
-        ) as subquery
-      `;
-      countParams.push(category);
     }
     
     const countResult = await client.query(countQuery, countParams);
@@ -171,36 +274,36 @@ router.get('/', optionalAuth, [
       let userRankQuery = '';
       let userRankParams = [req.user.id];
       
-      if (category === 'overall') {
+      if (isRating) {
+        const scopeClause = scopeFilter(userRankParams);
         userRankQuery = `
           SELECT position FROM (
             SELECT 
               u.id,
-              ROW_NUMBER() OVER (ORDER BY l.points DESC, u.created_at ASC) as position
-            FROM leaderboard l
-            JOIN users u ON l.user_id = u.id
-            WHERE l.category = 'overall' AND u.is_active = true
+              ROW_NUMBER() OVER (ORDER BY ${RATING_ORDER}, u.created_at ASC) as position
+            FROM user_ratings r
+            JOIN users u ON r.user_id = u.id
+            WHERE u.is_active = true AND r.events_rated >= ${MIN_RATED_EVENTS} ${scopeClause}
           ) ranked
           WHERE id = $1
         `;
-      } else if (['weekly', 'monthly'].includes(category)) {
-        const timeFilter = category === 'weekly' ? '7 days' : '30 days';
+      } else if (!isTimeBased) {
+        userRankParams.push(category);
+        const scopeClause = scopeFilter(userRankParams);
         userRankQuery = `
           SELECT position FROM (
             SELECT 
               u.id,
-              ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC) as position
-            FROM users u
-            LEFT JOIN predictions p ON u.id = p.user_id 
-              AND p.is_resolved = true 
-              AND p.created_at >= NOW() - INTERVAL '${timeFilter}'
-            WHERE u.is_active = true
-            GROUP BY u.id
-            HAVING SUM(p.points_awarded) > 0
+              ROW_NUMBER() OVER (ORDER BY ${orderBy}, u.created_at ASC) as position
+            FROM leaderboard l
+            JOIN users u ON l.user_id = u.id
+            WHERE l.category = $2 AND u.is_active = true ${rowFilter} ${scopeClause}
           ) ranked
           WHERE id = $1
         `;
       } else {
+        userRankParams.push(season.starts_at, season.ends_at);
+        const scopeClause = scopeFilter(userRankParams);
         userRankQuery = `
           SELECT position FROM (
             SELECT 
@@ -208,15 +311,16 @@ router.get('/', optionalAuth, [
               ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC) as position
             FROM users u
             LEFT JOIN predictions p ON u.id = p.user_id 
-              AND p.event_type = $2
-              AND p.is_resolved = true
-            WHERE u.is_active = true
+              AND p.is_resolved = true 
+              AND p.voided_at IS NULL
+              AND p.resolution_date >= $2
+              AND p.resolution_date < $3
+            WHERE u.is_active = true ${scopeClause}
             GROUP BY u.id
-            HAVING COUNT(p.id) >= 3
+            HAVING SUM(p.points_awarded) > 0
           ) ranked
           WHERE id = $1
         `;
-        userRankParams.push(category);
       }
       
       const userRankResult = await client.query(userRankQuery, userRankParams);
@@ -234,11 +338,16 @@ router.get('/', optionalAuth, [
         hasPrevPage: page > 1
       },
       category,
+      scope,
+      sort,
+      season,
       userRank
     };
     
     // Cache the result for 5 minutes
-    await cacheManager.cacheLeaderboard(cacheKey, response, 300);
+    if (!scopeUserIds) {
+      await cacheManager.cacheLeaderboard(cacheKey, response, 300);
+    }
     
     res.json(response);
     
@@ -277,15 +386,27 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
       SELECT 
         position,
         points,
+        win_streak,
         total_predictions,
-        accuracy_percentage
+        correct_predictions,
+        accuracy_percentage,
+        avg_brier_score,
+        avg_log_score,
+        scored_predictions,
+        badge
       FROM (
         SELECT 
           l.user_id,
           ROW_NUMBER() OVER (ORDER BY l.points DESC, u.created_at ASC) as position,
           l.points,
+          l.win_streak,
           l.total_predictions,
-          l.accuracy_percentage
+          l.correct_predictions,
+          l.accuracy_percentage,
+          l.avg_brier_score,
+          l.avg_log_score,
+          l.scored_predictions,
+          l.badge
         FROM leaderboard l
         JOIN users u ON l.user_id = u.id
         WHERE l.category = 'overall' AND u.is_active = true
@@ -295,44 +416,73 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
     
     rankings.overall = overallRank.rows.length > 0 ? overallRank.rows[0] : null;
     
-    // Category-specific rankings
-    const categories = ['cpi', 'unemployment', 'fed_rate', 'gdp'];
-    
-    for (const category of categories) {
-      const categoryRank = await client.query(`
+    // Category-specific rankings, served from the per-category leaderboard rows
+    const categoryRanks = await client.query(`
+      SELECT 
+        category,
+        position,
+        points,
+        win_streak,
+        total_predictions,
+        correct_predictions,
+        accuracy_percentage,
+        avg_brier_score,
+        avg_log_score,
+        scored_predictions
+      FROM (
         SELECT 
-          position,
-          points,
-          total_predictions,
-          accuracy_percentage
-        FROM (
-          SELECT 
-            u.id as user_id,
-            ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, MIN(u.created_at) ASC) as position,
-            SUM(p.points_awarded) as points,
-            COUNT(p.id) as total_predictions,
-            CASE 
-              WHEN COUNT(p.id) > 0 
-              THEN ROUND((COUNT(CASE WHEN p.points_awarded > 0 THEN 1 END)::numeric / COUNT(p.id)) * 100, 2)
-              ELSE 0 
-            END as accuracy_percentage
-          FROM users u
-          LEFT JOIN predictions p ON u.id = p.user_id 
-            AND p.event_type = $2
-            AND p.is_resolved = true
-          WHERE u.is_active = true
-          GROUP BY u.id
-          HAVING COUNT(p.id) >= 3
-        ) ranked
-        WHERE user_id = $1
-      `, [userId, category]);
-      
-      rankings[category] = categoryRank.rows.length > 0 ? categoryRank.rows[0] : null;
+          l.user_id,
+          l.category,
+          ROW_NUMBER() OVER (PARTITION BY l.category ORDER BY l.points DESC, u.created_at ASC) as position,
+          l.points,
+          l.win_streak,
+          l.total_predictions,
+          l.correct_predictions,
+          l.accuracy_percentage,
+          l.avg_brier_score,
+          l.avg_log_score,
+          l.scored_predictions
+        FROM leaderboard l
+        JOIN users u ON l.user_id = u.id
+        WHERE l.category = ANY($2) AND u.is_active = true AND l.total_predictions >= $3
+      ) ranked
+      WHERE user_id = $1
+    `, [userId, scoringSystem.EVENT_CATEGORIES, MIN_CATEGORY_PREDICTIONS]);
+    
+    for (const category of scoringSystem.EVENT_CATEGORIES) {
+      rankings[category] = categoryRanks.rows.find(row => row.category === category) || null;
     }
     
+    // Skill rating
+    const ratingResult = await client.query(`
+      SELECT 
+        ROUND(rating) as rating,
+        ROUND(rating_deviation) as rating_deviation,
+        ROUND(rating - 2 * rating_deviation) as conservative_rating,
+        events_rated,
+        last_rated_at
+      FROM user_ratings
+      WHERE user_id = $1
+    `, [userId]);
+    
+    rankings.rating = ratingResult.rows.length > 0 ? ratingResult.rows[0] : null;
+    
+    // Badges won in past seasons
+    const seasonBadges = await client.query(`
+      SELECT s.id as season_id, s.season_type, s.name, ss.rank, ss.points, ss.badge
+      FROM season_standings ss
+      JOIN seasons s ON ss.season_id = s.id
+      WHERE ss.user_id = $1 AND ss.badge IS NOT NULL
+      ORDER BY s.ends_at DESC
+    `, [userId]);
+    
+    const achievements = await achievementEngine.getUserAchievements(client, userId);
+    
     res.json({
       user,
-      rankings
+      rankings,
+      achievements,
+      seasonBadges: seasonBadges.rows
     });
     
   } catch (error) {
@@ -343,6 +493,223 @@ router.get('/user/:userId', optionalAuth, async (req, res) => {
   }
 });
 
+// GET /api/leaderboard/user/:userId/history - Rank and points over time in one category
+router.get('/user/:userId/history', [
+  query('category').optional().isIn(['overall', ...scoringSystem.EVENT_CATEGORIES]).withMessage('Invalid category'),
+  query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Days must be between 1 and 365')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const userId = req.params.userId;
+    const category = req.query.category || 'overall';
+    const days = parseInt(req.query.days) || 90;
+    
+    const userResult = await client.query(
+      'SELECT id, username FROM users WHERE id = $1 AND is_active = true',
+      [userId]
+    );
+    
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    const historyResult = await client.query(
+      `SELECT TO_CHAR(snapshot_date, 'YYYY-MM-DD') as date, rank, points
+       FROM leaderboard_rank_history
+       WHERE user_id = $1 AND category = $2
+       AND snapshot_date >= CURRENT_DATE - $3::integer
+       ORDER BY snapshot_date ASC`,
+      [userId, category, days]
+    );
+    
+    const currentResult = await client.query(
+      'SELECT rank, previous_rank, points FROM leaderboard WHERE user_id = $1 AND category = $2',
+      [userId, category]
+    );
+    const current = currentResult.rows[0] || null;
+    
+    // Places gained since the last snapshot on or before N days ago (positive = moved up)
+    const movementSince = async (sinceDays) => {
+      if (!current) return null;
+      
+      const pastResult = await client.query(
+        `SELECT rank FROM leaderboard_rank_history
+         WHERE user_id = $1 AND category = $2 AND snapshot_date <= CURRENT_DATE - $3::integer
+         ORDER BY snapshot_date DESC
+         LIMIT 1`,
+        [userId, category, sinceDays]
+      );
+      
+      return pastResult.rows.length > 0 ? pastResult.rows[0].rank - current.rank : null;
+    };
+    
+    res.json({
+      user: userResult.rows[0],
+      category,
+      current: current ? {
+        rank: current.rank,
+        points: current.points,
+        lastChange: current.previous_rank ? current.previous_rank - current.rank : null
+      } : null,
+      movement: {
+        week: await movementSince(7),
+        month: await movementSince(30)
+      },
+      history: historyResult.rows
+    });
+    
+  } catch (error) {
+    console.error('Get rank history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/leaderboard/seasons - List competition seasons
+router.get('/seasons', [
+  query('type').optional().isIn(seasonManager.SEASON_TYPES).withMessage('Invalid season type'),
+  query('status').optional().isIn(['active', 'closed', 'all']).withMessage('Invalid status filter'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'all';
+    
+    let whereClause = 'WHERE 1=1';
+    let params = [];
+    
+    if (req.query.type) {
+      params.push(req.query.type);
+      whereClause += ` AND s.season_type = $${params.length}`;
+    }
+    
+    if (status !== 'all') {
+      params.push(status);
+      whereClause += ` AND s.status = $${params.length}`;
+    }
+    
+    const seasonsResult = await client.query(
+      `SELECT s.*, winner.username as winner_username, winner.points as winner_points
+       FROM seasons s
+       LEFT JOIN LATERAL (
+         SELECT u.username, ss.points
+         FROM season_standings ss
+         JOIN users u ON ss.user_id = u.id
+         WHERE ss.season_id = s.id AND ss.rank = 1
+       ) winner ON true
+       ${whereClause}
+       ORDER BY s.starts_at DESC, s.season_type ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+    
+    const countResult = await client.query(
+      `SELECT COUNT(*) FROM seasons s ${whereClause}`,
+      params
+    );
+    
+    const totalCount = parseInt(countResult.rows[0].count);
+    const totalPages = Math.ceil(totalCount / limit);
+    
+    res.json({
+      seasons: seasonsResult.rows,
+      pagination: {
+        page,
+        limit,
+        totalCount,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get seasons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/leaderboard/seasons/:id - Get a season and its final standings
+router.get('/seasons/:id', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    
+    const seasonResult = await client.query(
+      'SELECT * FROM seasons WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (seasonResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+    
+    const season = seasonResult.rows[0];
+    
+    if (season.status !== 'closed') {
+      return res.status(400).json({ error: 'Season is still in progress; see the live leaderboard' });
+    }
+    
+    const standingsResult = await client.query(
+      `SELECT 
+         ss.rank as position,
+         u.id,
+         u.username,
+         u.first_name,
+         u.last_name,
+         u.avatar_url,
+         ss.points,
+         ss.total_predictions,
+         ss.correct_predictions,
+         ss.accuracy_percentage,
+         ss.avg_brier_score,
+         ss.badge
+       FROM season_standings ss
+       JOIN users u ON ss.user_id = u.id
+       WHERE ss.season_id = $1
+       ORDER BY ss.rank ASC
+       LIMIT $2 OFFSET $3`,
+      [season.id, limit, offset]
+    );
+    
+    const totalPages = Math.ceil(season.participants / limit);
+    
+    res.json({
+      season,
+      standings: standingsResult.rows,
+      pagination: {
+        page,
+        limit,
+        totalCount: season.participants,
+        totalPages,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get season error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // GET /api/leaderboard/stats - Get leaderboard statistics
 router.get('/stats', async (req, res) => {
   const client = await pool.connect();
@@ -360,9 +727,9 @@ router.get('/stats', async (req, res) => {
         COUNT(DISTINCT CASE WHEN l.points > 0 THEN u.id END) as active_predictors,
         AVG(l.points) as avg_points,
         MAX(l.points) as max_points,
-        COUNT(DISTINCT CASE WHEN l.points >= 1000 THEN u.id END) as pro_users,
-        COUNT(DISTINCT CASE WHEN l.points >= 5000 THEN u.id END) as expert_users,
-        COUNT(DISTINCT CASE WHEN l.points >= 10000 THEN u.id END) as legend_users
+        COUNT(DISTINCT CASE WHEN l.points >= ${TIERS.pro.min} THEN u.id END) as pro_users,
+        COUNT(DISTINCT CASE WHEN l.points >= ${TIERS.expert.min} THEN u.id END) as expert_users,
+        COUNT(DISTINCT CASE WHEN l.points >= ${TIERS.legend.min} THEN u.id END) as legend_users
       FROM users u
       LEFT JOIN leaderboard l ON u.id = l.user_id AND l.category = 'overall'
       WHERE u.is_active = true
@@ -370,14 +737,7 @@ router.get('/stats', async (req, res) => {
     
     const response = {
       stats: stats.rows[0],
-      tiers: {
-        beginner: { min: 0, max: 99, color: '#64748b' },
-        intermediate: { min: 100, max: 499, color: '#059669' },
-        advanced: { min: 500, max: 999, color: '#dc2626' },
-        pro: { min: 1000, max: 4999, color: '#7c3aed' },
-        expert: { min: 5000, max: 9999, color: '#ea580c' },
-        legend: { min: 10000, max: null, color: '#fbbf24' }
-      }
+      tiers: TIERS
     };
     
     // Cache for 10 minutes
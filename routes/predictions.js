@@ -1,25 +1,177 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const pool = require('../database/config');
-const { authenticateToken, optionalAuth, handleValidationErrors } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, handleValidationErrors, requireAdmin } = require('../middleware/auth');
 const cacheManager = require('../utils/cache');
+const scoringSystem = require('../utils/scoring');
+const economicCalendar = require('../utils/calendar');
+const streakTracker = require('../utils/streaks');
+const consensusEngine = require('../utils/consensus');
+const fredResolver = require('../utils/resolver');
 
 const router = express.Router();
 
+const PREDICTED_OUTCOMES = ['yes', 'no', 'higher', 'lower', 'same', 'numeric', 'distribution', 'custom'];
+
+// Numeric forecasts carry a point estimate and an optional interval: { point, lower, upper }.
+// The interval's nominal coverage is the prediction's confidence.
+const validateNumericForecast = (value) => {
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+  
+  if (!value || typeof value !== 'object') {
+    return 'Numeric forecasts require a prediction value object';
+  }
+  
+  if (!isNumber(value.point)) {
+    return 'Numeric forecasts require a numeric point estimate';
+  }
+  
+  const hasLower = value.lower !== undefined && value.lower !== null;
+  const hasUpper = value.upper !== undefined && value.upper !== null;
+  
+  if (hasLower !== hasUpper) {
+    return 'Interval forecasts require both lower and upper bounds';
+  }
+  
+  if (hasLower) {
+    if (!isNumber(value.lower) || !isNumber(value.upper)) {
+      return 'Interval bounds must be numbers';
+    }
+    
+    if (value.lower > value.point || value.point > value.upper) {
+      return 'Interval must contain the point estimate';
+    }
+  }
+  
+  return null;
+};
+
+// Distribution forecasts spread probability over ordered buckets that sum to 100:
+// { buckets: [{ label, probability }] } for categories such as Fed decisions, or
+// { buckets: [{ label, lower, upper, probability }] } for contiguous numeric ranges.
+// The first bucket's lower and the last bucket's upper bound may be null (open-ended).
+const validateDistributionForecast = (value) => {
+  const isNumber = (n) => typeof n === 'number' && Number.isFinite(n);
+  
+  if (!value || !Array.isArray(value.buckets)) {
+    return 'Distribution forecasts require a list of buckets';
+  }
+  
+  const buckets = value.buckets;
+  if (buckets.length < 2 || buckets.length > 20) {
+    return 'Distribution forecasts require 2-20 buckets';
+  }
+  
+  const labels = new Set();
+  for (const bucket of buckets) {
+    if (!bucket || typeof bucket.label !== 'string' || bucket.label.trim() === '') {
+      return 'Each bucket requires a label';
+    }
+    if (labels.has(bucket.label.toLowerCase())) {
+      return 'Bucket labels must be unique';
+    }
+    labels.add(bucket.label.toLowerCase());
+    
+    if (!isNumber(bucket.probability) || bucket.probability < 0) {
+      return 'Bucket probabilities must be non-negative numbers';
+    }
+  }
+  
+  const total = buckets.reduce((sum, bucket) => sum + bucket.probability, 0);
+  if (Math.abs(total - 100) > 0.5) {
+    return 'Bucket probabilities must sum to 100';
+  }
+  
+  const isNumeric = buckets.some(bucket => bucket.lower !== undefined || bucket.upper !== undefined);
+  if (isNumeric) {
+    for (let i = 0; i < buckets.length; i++) {
+      const { lower, upper } = buckets[i];
+      const lowerOk = isNumber(lower) || (i === 0 && lower === null);
+      const upperOk = isNumber(upper) || (i === buckets.length - 1 && upper === null);
+      
+      if (!lowerOk || !upperOk) {
+        return 'Numeric buckets require lower and upper bounds';
+      }
+      if (isNumber(lower) && isNumber(upper) && lower >= upper) {
+        return 'Bucket lower bound must be below its upper bound';
+      }
+      if (i > 0 && buckets[i - 1].upper !== lower) {
+        return 'Numeric buckets must be contiguous and in ascending order';
+      }
+    }
+  }
+  
+  return null;
+};
+
+// Categorical buckets on a market event must name outcomes the event can resolve to
+const checkBucketOutcomes = (value, event) => {
+  const outcomes = fredResolver.getOutcomes(event);
+  const isNumeric = value.buckets.some(bucket => bucket.lower !== undefined || bucket.upper !== undefined);
+  if (!outcomes || isNumeric) {
+    return null;
+  }
+  
+  const unknown = value.buckets.find(bucket => !outcomes.includes(bucket.label.toLowerCase()));
+  return unknown ? `Bucket "${unknown.label}" is not an outcome of this event (${outcomes.join(', ')})` : null;
+};
+
+// Distribution forecasts report their modal bucket probability as confidence
+const getModalConfidence = (value) => {
+  return Math.round(Math.max(...value.buckets.map(bucket => bucket.probability)));
+};
+
+const FORECAST_VALIDATORS = {
+  numeric: validateNumericForecast,
+  distribution: validateDistributionForecast
+};
+
+const checkForecastShape = (value, { req }) => {
+  const validate = FORECAST_VALIDATORS[req.body.predicted_outcome];
+  if (validate) {
+    const error = validate(value);
+    if (error) throw new Error(error);
+  }
+  return true;
+};
+
+// Predictions lock when their market event closes (or at their own expiry without one)
+const isLocked = (prediction) => {
+  if (prediction.event_status && prediction.event_status !== 'open') {
+    return true;
+  }
+  
+  const locksAt = prediction.locks_at || prediction.expires_at;
+  return new Date(locksAt) <= new Date();
+};
+
 // Validation rules
 const predictionValidation = [
+  body('event_id').optional().isUUID().withMessage('Event ID must be a valid UUID'),
   body('event_type').isIn(['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi', 'custom']).withMessage('Invalid event type'),
-  body('event_title').isLength({ min: 10, max: 500 }).withMessage('Event title must be 10-500 characters'),
-  body('prediction_value').notEmpty().withMessage('Prediction value is required'),
-  body('confidence').isInt({ min: 0, max: 100 }).withMessage('Confidence must be between 0 and 100'),
-  body('predicted_outcome').isIn(['yes', 'no', 'higher', 'lower', 'same', 'custom']).withMessage('Invalid predicted outcome'),
-  body('expires_at').isISO8601().withMessage('Valid expiration date is required')
+  body('event_title').if(body('event_id').not().exists()).isLength({ min: 10, max: 500 }).withMessage('Event title must be 10-500 characters'),
+  body('prediction_value').notEmpty().withMessage('Prediction value is required').bail().custom(checkForecastShape),
+  body('confidence').if(body('predicted_outcome').not().equals('distribution')).isInt({ min: 0, max: 100 }).withMessage('Confidence must be between 0 and 100'),
+  body('predicted_outcome').isIn(PREDICTED_OUTCOMES).withMessage('Invalid predicted outcome'),
+  body('expires_at').if(body('event_id').not().exists()).isISO8601().withMessage('Valid expiration date is required')
 ];
 
 const updatePredictionValidation = [
-  body('prediction_value').optional().notEmpty().withMessage('Prediction value cannot be empty'),
+  body('prediction_value').optional().notEmpty().withMessage('Prediction value cannot be empty').bail().custom(checkForecastShape),
   body('confidence').optional().isInt({ min: 0, max: 100 }).withMessage('Confidence must be between 0 and 100'),
-  body('predicted_outcome').optional().isIn(['yes', 'no', 'higher', 'lower', 'same', 'custom']).withMessage('Invalid predicted outcome')
+  body('predicted_outcome').optional().isIn(PREDICTED_OUTCOMES).withMessage('Invalid predicted outcome')
+];
+
+const correctionValidation = [
+  body('reason').isLength({ min: 5, max: 1000 }).withMessage('Reason must be 5-1000 characters')
+];
+
+const rescoreValidation = [
+  body('outcome').isLength({ min: 1, max: 100 }).withMessage('Outcome is required'),
+  body('actual_value').optional().isFloat().withMessage('Actual value must be a number'),
+  body('previous_value').optional().isFloat().withMessage('Previous value must be a number'),
+  body('actual_rate').optional().isFloat().withMessage('Actual rate must be a number'),
+  ...correctionValidation
 ];
 
 // POST /api/predictions - Create new prediction
@@ -28,15 +180,72 @@ router.post('/', authenticateToken, predictionValidation, handleValidationErrors
   
   try {
     const {
+      event_id,
       event_type,
-      event_title,
       prediction_value,
-      confidence,
       predicted_outcome,
-      expires_at,
       metadata
     } = req.body;
     
+    let { event_title, expires_at, confidence } = req.body;
+    let locksAt = null;
+    let flagReason = null;
+    
+    if (predicted_outcome === 'distribution') {
+      confidence = getModalConfidence(prediction_value);
+    }
+    
+    // Predictions on a market event must target an event that is still open
+    if (event_id) {
+      const eventResult = await client.query(
+        'SELECT * FROM market_events WHERE id = $1',
+        [event_id]
+      );
+      
+      if (eventResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Market event not found' });
+      }
+      
+      const event = eventResult.rows[0];
+      
+      if (event.status !== 'open' || new Date(event.closes_at) <= new Date()) {
+        return res.status(400).json({ error: 'Market event is not open for predictions' });
+      }
+      
+      if (new Date(event.opens_at) > new Date()) {
+        return res.status(400).json({ error: 'Market event has not opened yet' });
+      }
+      
+      if (event.event_type !== event_type) {
+        return res.status(400).json({ error: 'Event type does not match the market event' });
+      }
+      
+      if (predicted_outcome === 'distribution') {
+        const outcomeError = checkBucketOutcomes(prediction_value, event);
+        if (outcomeError) {
+          return res.status(400).json({ error: outcomeError });
+        }
+      }
+      
+      event_title = event_title || event.title;
+      expires_at = expires_at || event.closes_at;
+      
+      // The event's close is the lock, whatever expiry the user picked
+      locksAt = new Date(Math.min(new Date(expires_at), new Date(event.closes_at)));
+      
+      const releaseTime = new Date(event.resolves_at || event.closes_at);
+      if (new Date(expires_at) > releaseTime) {
+        flagReason = 'expires_after_release';
+      }
+    } else if (expires_at) {
+      // Without a market event, lock at the next scheduled release of this type
+      const nextRelease = await economicCalendar.getNextRelease(client, event_type);
+      if (nextRelease && new Date(expires_at) > new Date(nextRelease.release_at)) {
+        locksAt = new Date(nextRelease.release_at);
+        flagReason = 'expires_after_release';
+      }
+    }
+    
     // Check if prediction deadline is in the future
     const expirationDate = new Date(expires_at);
     if (expirationDate <= new Date()) {
@@ -44,10 +253,15 @@ router.post('/', authenticateToken, predictionValidation, handleValidationErrors
     }
     
     // Check if user already has a prediction for this event
-    const existingPrediction = await client.query(
-      'SELECT id FROM predictions WHERE user_id = $1 AND event_title = $2 AND is_resolved = false',
-      [req.user.id, event_title]
-    );
+    const existingPrediction = event_id
+      ? await client.query(
+          'SELECT id FROM predictions WHERE user_id = $1 AND event_id = $2',
+          [req.user.id, event_id]
+        )
+      : await client.query(
+          'SELECT id FROM predictions WHERE user_id = $1 AND event_title = $2 AND is_resolved = false',
+          [req.user.id, event_title]
+        );
     
     if (existingPrediction.rows.length > 0) {
       return res.status(400).json({ error: 'You already have an active prediction for this event' });
@@ -55,20 +269,48 @@ router.post('/', authenticateToken, predictionValidation, handleValidationErrors
     
     // Create prediction
     const result = await client.query(
-      `INSERT INTO predictions (user_id, event_type, event_title, prediction_value, confidence, predicted_outcome, expires_at, metadata)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `INSERT INTO predictions (user_id, event_id, event_type, event_title, prediction_value, confidence, predicted_outcome, expires_at, locks_at, flag_reason, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
        RETURNING *`,
-      [req.user.id, event_type, event_title, JSON.stringify(prediction_value), confidence, predicted_outcome, expires_at, JSON.stringify(metadata || {})]
+      [
+        req.user.id,
+        event_id || null,
+        event_type,
+        event_title,
+        JSON.stringify(prediction_value),
+        confidence,
+        predicted_outcome,
+        expires_at,
+        locksAt || expirationDate,
+        flagReason,
+        JSON.stringify(metadata || {})
+      ]
     );
     
     const prediction = result.rows[0];
     
+    // Record the initial revision
+    await client.query(
+      `INSERT INTO prediction_revisions (prediction_id, user_id, prediction_value, confidence, predicted_outcome)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [prediction.id, req.user.id, JSON.stringify(prediction_value), confidence, predicted_outcome]
+    );
+    
     // Update user's total predictions count
     await client.query(
       'UPDATE users SET total_predictions = total_predictions + 1 WHERE id = $1',
       [req.user.id]
     );
     
+    // Update the market event's prediction count
+    if (event_id) {
+      await client.query(
+        'UPDATE market_events SET total_predictions = total_predictions + 1 WHERE id = $1',
+        [event_id]
+      );
+      await consensusEngine.recordSnapshot(event_id);
+    }
+    
     // Invalidate user cache
     await cacheManager.invalidateUserSession(req.user.id);
     
@@ -165,6 +407,74 @@ router.get('/', authenticateToken, [
   }
 });
 
+// GET /api/predictions/calibration - Get user's calibration curve
+router.get('/calibration', authenticateToken, [
+  query('event_type').optional().isIn(['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi', 'custom']).withMessage('Invalid event type'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const calibration = await scoringSystem.getUserCalibration(req.user.id, {
+      eventType: req.query.event_type,
+      from: req.query.from,
+      to: req.query.to
+    });
+    
+    res.json({ calibration });
+    
+  } catch (error) {
+    console.error('Get calibration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GET /api/predictions/stats - Get user's prediction statistics
+router.get('/stats', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const result = await client.query(
+      `SELECT 
+         COUNT(*) as total_predictions,
+         COUNT(CASE WHEN is_resolved = true AND COALESCE(is_correct, points_awarded > 0) THEN 1 END) as correct_predictions,
+         COUNT(CASE WHEN is_resolved = true AND voided_at IS NULL AND actual_outcome IS DISTINCT FROM 'expired' THEN 1 END) as resolved_predictions,
+         AVG(CASE WHEN is_resolved = true AND voided_at IS NULL AND actual_outcome IS DISTINCT FROM 'expired' THEN confidence END) as avg_confidence,
+         SUM(points_awarded) as total_points_earned
+       FROM predictions
+       WHERE user_id = $1`,
+      [req.user.id]
+    );
+    
+    const streaks = await streakTracker.getUserStreaks(client, req.user.id);
+    const streakHistory = await streakTracker.getStreakHistory(client, req.user.id);
+    const overall = streaks.find(streak => streak.category === 'overall');
+    
+    const stats = result.rows[0];
+    const accuracy = stats.resolved_predictions > 0 
+      ? (stats.correct_predictions / stats.resolved_predictions * 100).toFixed(2)
+      : 0;
+    
+    res.json({
+      stats: {
+        ...stats,
+        accuracy_percentage: parseFloat(accuracy),
+        avg_confidence: stats.avg_confidence ? parseFloat(stats.avg_confidence).toFixed(2) : 0,
+        current_streak: overall ? overall.current_streak : 0,
+        best_streak: overall ? overall.best_streak : 0,
+        best_streak_at: overall ? overall.best_streak_at : null
+      },
+      streaks: streaks.filter(streak => streak.category !== 'overall'),
+      streakHistory
+    });
+    
+  } catch (error) {
+    console.error('Get prediction stats error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // GET /api/predictions/:id - Get specific prediction
 router.get('/:id', authenticateToken, async (req, res) => {
   const client = await pool.connect();
@@ -197,16 +507,144 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/predictions/:id/history - Get prediction revision history
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const predictionResult = await client.query(
+      'SELECT id FROM predictions WHERE id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+    
+    if (predictionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+    
+    const result = await client.query(
+      `SELECT id, prediction_value, confidence, predicted_outcome, created_at 
+       FROM prediction_revisions 
+       WHERE prediction_id = $1 
+       ORDER BY created_at ASC`,
+      [req.params.id]
+    );
+    
+    res.json({
+      predictionId: req.params.id,
+      revisions: result.rows.map((revision, index) => ({
+        revision: index + 1,
+        ...revision
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Get prediction history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Shared handler for re-scoring or voiding a resolved prediction
+const correctPrediction = async (req, res, outcome, resolutionData) => {
+  const client = await pool.connect();
+  
+  try {
+    const existingResult = await client.query(
+      'SELECT is_resolved, predicted_outcome, prediction_value FROM predictions WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (existingResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+    
+    if (!existingResult.rows[0].is_resolved) {
+      return res.status(400).json({ error: 'Only resolved predictions can be corrected' });
+    }
+    
+    if (outcome !== 'void' && resolutionData.actualValue === undefined && scoringSystem.requiresActualValue(existingResult.rows[0])) {
+      return res.status(400).json({ error: 'actual_value required to score this numeric forecast' });
+    }
+    
+    const correction = await scoringSystem.rescorePrediction(req.params.id, outcome, resolutionData, {
+      reason: req.body.reason,
+      performedBy: req.user.id
+    });
+    
+    res.json({
+      message: outcome === 'void' ? 'Prediction voided successfully' : 'Prediction re-scored successfully',
+      correction
+    });
+    
+  } catch (error) {
+    console.error('Correct prediction error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+};
+
+// POST /api/predictions/:id/rescore - Re-score with revised data (admin only)
+router.post('/:id/rescore', authenticateToken, requireAdmin, rescoreValidation, handleValidationErrors, (req, res) =>
+  correctPrediction(req, res, req.body.outcome, scoringSystem.buildResolutionData(req.body))
+);
+
+// POST /api/predictions/:id/void - Void a resolved prediction and take back its points (admin only)
+router.post('/:id/void', authenticateToken, requireAdmin, correctionValidation, handleValidationErrors, (req, res) =>
+  correctPrediction(req, res, 'void', {})
+);
+
+// GET /api/predictions/:id/audit - Score corrections made to a prediction (owner or admin)
+router.get('/:id/audit', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const predictionResult = await client.query(
+      'SELECT user_id FROM predictions WHERE id = $1',
+      [req.params.id]
+    );
+    
+    if (predictionResult.rows.length === 0 ||
+        (predictionResult.rows[0].user_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({ error: 'Prediction not found' });
+    }
+    
+    const result = await client.query(
+      `SELECT id, action, reason, previous_result, new_result, resolution_data, created_at
+       FROM score_audit
+       WHERE prediction_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+    
+    res.json({
+      predictionId: req.params.id,
+      audit: result.rows
+    });
+    
+  } catch (error) {
+    console.error('Get prediction audit error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
 // PUT /api/predictions/:id - Update prediction
 router.put('/:id', authenticateToken, updatePredictionValidation, handleValidationErrors, async (req, res) => {
   const client = await pool.connect();
   
   try {
-    const { prediction_value, confidence, predicted_outcome, metadata } = req.body;
+    const { prediction_value, predicted_outcome, metadata } = req.body;
+    let { confidence } = req.body;
     
     // Check if prediction exists and belongs to user
     const existingResult = await client.query(
-      'SELECT * FROM predictions WHERE id = $1 AND user_id = $2',
+      `SELECT p.*, e.status as event_status, e.metadata as event_metadata 
+       FROM predictions p 
+       LEFT JOIN market_events e ON p.event_id = e.id 
+       WHERE p.id = $1 AND p.user_id = $2`,
       [req.params.id, req.user.id]
     );
     
@@ -225,6 +663,35 @@ router.put('/:id', authenticateToken, updatePredictionValidation, handleValidati
       return res.status(400).json({ error: 'Cannot update expired prediction' });
     }
     
+    if (isLocked(existingPrediction)) {
+      return res.status(400).json({ error: 'Cannot update locked prediction' });
+    }
+    
+    // Numeric and distribution forecasts must keep a valid shape after a partial update
+    const effectiveOutcome = predicted_outcome || existingPrediction.predicted_outcome;
+    const effectiveValue = prediction_value || existingPrediction.prediction_value;
+    const validateForecast = FORECAST_VALIDATORS[effectiveOutcome];
+    if (validateForecast) {
+      const shapeError = validateForecast(effectiveValue);
+      if (shapeError) {
+        return res.status(400).json({ error: shapeError });
+      }
+    }
+    
+    if (effectiveOutcome === 'distribution' && existingPrediction.event_id) {
+      const outcomeError = checkBucketOutcomes(effectiveValue, {
+        event_type: existingPrediction.event_type,
+        metadata: existingPrediction.event_metadata
+      });
+      if (outcomeError) {
+        return res.status(400).json({ error: outcomeError });
+      }
+    }
+    
+    if (effectiveOutcome === 'distribution') {
+      confidence = getModalConfidence(effectiveValue);
+    }
+    
     // Update prediction
     const result = await client.query(
       `UPDATE predictions 
@@ -246,6 +713,25 @@ router.put('/:id', authenticateToken, updatePredictionValidation, handleValidati
     
     const updatedPrediction = result.rows[0];
     
+    // Record the revision so the forecast's history is preserved
+    if (prediction_value || confidence !== undefined || predicted_outcome) {
+      await client.query(
+        `INSERT INTO prediction_revisions (prediction_id, user_id, prediction_value, confidence, predicted_outcome)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [
+          updatedPrediction.id,
+          req.user.id,
+          JSON.stringify(updatedPrediction.prediction_value),
+          updatedPrediction.confidence,
+          updatedPrediction.predicted_outcome
+        ]
+      );
+    }
+    
+    if (updatedPrediction.event_id) {
+      await consensusEngine.recordSnapshot(updatedPrediction.event_id);
+    }
+    
     res.json({
       message: 'Prediction updated successfully',
       prediction: {
@@ -270,7 +756,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     // Check if prediction exists and belongs to user
     const existingResult = await client.query(
-      'SELECT * FROM predictions WHERE id = $1 AND user_id = $2',
+      `SELECT p.*, e.status as event_status 
+       FROM predictions p 
+       LEFT JOIN market_events e ON p.event_id = e.id 
+       WHERE p.id = $1 AND p.user_id = $2`,
       [req.params.id, req.user.id]
     );
     
@@ -285,6 +774,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Cannot delete resolved prediction' });
     }
     
+    if (isLocked(existingPrediction)) {
+      return res.status(400).json({ error: 'Cannot delete locked prediction' });
+    }
+    
     // Delete prediction
     await client.query(
       'DELETE FROM predictions WHERE id = $1 AND user_id = $2',
@@ -297,6 +790,15 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       [req.user.id]
     );
     
+    // Update the market event's prediction count
+    if (existingPrediction.event_id) {
+      await client.query(
+        'UPDATE market_events SET total_predictions = GREATEST(total_predictions - 1, 0) WHERE id = $1',
+        [existingPrediction.event_id]
+      );
+      await consensusEngine.recordSnapshot(existingPrediction.event_id);
+    }
+    
     // Invalidate user cache
     await cacheManager.invalidateUserSession(req.user.id);
     
@@ -362,44 +864,4 @@ router.get('/public/recent', optionalAuth, [
   }
 });
 
-// GET /api/predictions/stats - Get user's prediction statistics
-router.get('/stats', authenticateToken, async (req, res) => {
-  const client = await pool.connect();
-  
-  try {
-    const result = await client.query(
-      `SELECT 
-         COUNT(*) as total_predictions,
-         COUNT(CASE WHEN is_resolved = true AND points_awarded > 0 THEN 1 END) as correct_predictions,
-         COUNT(CASE WHEN is_resolved = true THEN 1 END) as resolved_predictions,
-         AVG(CASE WHEN is_resolved = true THEN confidence END) as avg_confidence,
-         SUM(points_awarded) as total_points_earned,
-         MAX(win_streak) as best_streak
-       FROM predictions p
-       LEFT JOIN users u ON p.user_id = u.id
-       WHERE p.user_id = $1`,
-      [req.user.id]
-    );
-    
-    const stats = result.rows[0];
-    const accuracy = stats.resolved_predictions > 0 
-      ? (stats.correct_predictions / stats.resolved_predictions * 100).toFixed(2)
-      : 0;
-    
-    res.json({
-      stats: {
-        ...stats,
-        accuracy_percentage: parseFloat(accuracy),
-        avg_confidence: stats.avg_confidence ? parseFloat(stats.avg_confidence).toFixed(2) : 0
-      }
-    });
-    
-  } catch (error) {
-    console.error('Get prediction stats error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  } finally {
-    client.release();
-  }
-});
-
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,55 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { optionalAuth, handleValidationErrors } = require('../middleware/auth');
+const cacheManager = require('../utils/cache');
+const trackRecordReport = require('../utils/trackRecord');
+
+const router = express.Router();
+
+const EVENT_TYPES = ['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi', 'custom'];
+
+// GET /api/reports/track-record - Crowd vs naive baselines over resolved events
+router.get('/track-record', optionalAuth, [
+  query('category').optional().isIn(EVENT_TYPES).withMessage('Invalid category'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('period').optional().isIn(trackRecordReport.PERIODS).withMessage('Period must be month, quarter or year'),
+  query('level').optional().isIn(['summary', 'event']).withMessage('Level must be summary or event'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { category, from, to } = req.query;
+    const period = req.query.period || 'quarter';
+    const level = req.query.level || 'summary';
+
+    // Scoring every event replays its series history, so cache the per-event rows
+    const cacheKey = `track_record:${category || 'all'}_${from || ''}_${to || ''}`;
+    let events = await cacheManager.get(cacheKey);
+
+    if (!events) {
+      events = await trackRecordReport.scoreEvents({ category, from, to });
+      await cacheManager.set(cacheKey, events, 3600);
+    }
+
+    const rows = level === 'event' ? events : trackRecordReport.summarize(events, period);
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="track-record-${level}.csv"`);
+      return res.send(trackRecordReport.toCSV(rows));
+    }
+
+    res.json({
+      period: level === 'summary' ? period : null,
+      forecasters: trackRecordReport.FORECASTERS,
+      totalEvents: new Set(events.map(row => row.eventId)).size,
+      rows
+    });
+
+  } catch (error) {
+    console.error('Get track record error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
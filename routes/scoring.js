@@ -0,0 +1,176 @@
+const express = require('express');
+const { body } = require('express-validator');
+const pool = require('../database/config');
+const { authenticateToken, handleValidationErrors, requireAdmin } = require('../middleware/auth');
+const scoringRules = require('../utils/scoringRules');
+
+const router = express.Router();
+
+// null clears an override so the default version applies again
+const overrideValidation = [
+  body('version').custom(value => value === null || Number.isInteger(value)).withMessage('Version must be an integer or null')
+];
+
+// Pin a market event or season to a rule version
+const setOverride = async (req, res, table, label, key, statuses) => {
+  const client = await pool.connect();
+
+  try {
+    const { version } = req.body;
+
+    if (version !== null && !(await scoringRules.getVersion(client, version))) {
+      return res.status(404).json({ error: 'Scoring rule version not found' });
+    }
+
+    // Only before scoring: resolved events and closed seasons keep the rules they were scored with
+    const result = await client.query(
+      `UPDATE ${table} SET scoring_rule_version = $1
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING id, scoring_rule_version`,
+      [version, req.params.id, statuses]
+    );
+
+    if (result.rows.length === 0) {
+      const existing = await client.query(`SELECT status FROM ${table} WHERE id = $1`, [req.params.id]);
+      if (existing.rows.length === 0) {
+        return res.status(404).json({ error: `${label} not found` });
+      }
+      return res.status(400).json({ error: `${label} is already ${existing.rows[0].status}` });
+    }
+
+    res.json({
+      message: version === null ? 'Scoring rule override cleared' : `${label} now scores with rule version ${version}`,
+      [key]: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Set scoring rule override error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+};
+
+// GET /api/scoring/rules - All rule versions, newest first
+router.get('/rules', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const versions = await scoringRules.listVersions(client);
+    res.json({ versions });
+
+  } catch (error) {
+    console.error('Get scoring rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/scoring/rules/:version - One rule version
+router.get('/rules/:version', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'SELECT version, description, is_default, config, created_at FROM scoring_rules WHERE version = $1',
+      [parseInt(req.params.version) || 0]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Scoring rule version not found' });
+    }
+
+    res.json({ version: scoringRules.formatVersion(result.rows[0]) });
+
+  } catch (error) {
+    console.error('Get scoring rule version error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/scoring/rules - Create a new rule version (admin only)
+router.post('/rules', authenticateToken, requireAdmin, [
+  body('config').isObject().withMessage('Config must be an object'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description must be less than 500 characters'),
+  body('make_default').optional().isBoolean().withMessage('make_default must be a boolean')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    let version;
+    try {
+      version = await scoringRules.createVersion(client, {
+        config: req.body.config,
+        description: req.body.description,
+        makeDefault: req.body.make_default === true,
+        createdBy: req.user.id
+      });
+    } catch (error) {
+      if (error.message.startsWith('Invalid scoring rules')) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Scoring rule version created successfully',
+      version
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create scoring rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/scoring/rules/:version/default - Make a version the default (admin only)
+router.post('/rules/:version/default', authenticateToken, requireAdmin, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const version = await scoringRules.setDefault(client, parseInt(req.params.version) || 0);
+
+    if (!version) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ error: 'Scoring rule version not found' });
+    }
+
+    await client.query('COMMIT');
+
+    res.json({
+      message: `Rule version ${version.version} is now the default`,
+      version
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Set default scoring rules error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/scoring/events/:id - Override the rule version for a market event (admin only)
+router.put('/events/:id', authenticateToken, requireAdmin, overrideValidation, handleValidationErrors, (req, res) =>
+  setOverride(req, res, 'market_events', 'Market event', 'event', ['open', 'closed'])
+);
+
+// PUT /api/scoring/seasons/:id - Override the rule version for a season (admin only)
+router.put('/seasons/:id', authenticateToken, requireAdmin, overrideValidation, handleValidationErrors, (req, res) =>
+  setOverride(req, res, 'seasons', 'Season', 'season', ['active'])
+);
+
+module.exports = router;
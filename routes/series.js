@@ -0,0 +1,135 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const pool = require('../database/config');
+const { authenticateToken, handleValidationErrors, requireAdmin } = require('../middleware/auth');
+const seriesStore = require('../utils/seriesStore');
+
+const router = express.Router();
+
+const SERIES_ID = /^[A-Za-z0-9_]{1,30}$/;
+
+// Reads only come from the store; syncing from FRED is left to the scheduled job.
+// Sends the error response and returns false if the series has not been synced.
+const requireSynced = async (client, seriesId, res) => {
+  if (await seriesStore.getSyncState(client, seriesId)) {
+    return true;
+  }
+
+  if (seriesStore.TRACKED_SERIES[seriesId]) {
+    res.status(503).json({ error: 'Series has not been synced yet, try again later' });
+  } else {
+    res.status(404).json({ error: 'Series not found' });
+  }
+  return false;
+};
+
+// GET /api/series - Tracked series and their sync status
+router.get('/', async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const series = await seriesStore.listSeries(client);
+    res.json({ series });
+
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/series/:id/observations - Stored observations, optionally as of a past date, converted and transformed
+router.get('/:id/observations', [
+  param('id').matches(SERIES_ID).withMessage('Invalid series ID'),
+  query('start').optional().isISO8601().withMessage('Start must be a valid date'),
+  query('end').optional().isISO8601().withMessage('End must be a valid date'),
+  query('as_of').optional().isISO8601().withMessage('as_of must be a valid date'),
+  query('frequency').optional().isIn(seriesStore.FREQUENCIES).withMessage('Frequency must be monthly, quarterly or annual'),
+  query('aggregation').optional().isIn(seriesStore.AGGREGATIONS).withMessage('Aggregation must be avg, sum or eop'),
+  query('units').optional().isIn(seriesStore.UNITS).withMessage('Units must be lin, chg, ch1, pch, pc1 or pca'),
+  query('sort_order').optional().isIn(['asc', 'desc']).withMessage('sort_order must be asc or desc'),
+  query('limit').optional().isInt({ min: 1, max: 100000 }).withMessage('Limit must be between 1 and 100000')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const seriesId = req.params.id.toUpperCase();
+
+    if (!(await requireSynced(client, seriesId, res))) {
+      return;
+    }
+
+    const result = await seriesStore.getObservations(client, seriesId, {
+      start: req.query.start ? req.query.start.slice(0, 10) : undefined,
+      end: req.query.end ? req.query.end.slice(0, 10) : undefined,
+      asOf: req.query.as_of ? req.query.as_of.slice(0, 10) : undefined,
+      frequency: req.query.frequency,
+      aggregation: req.query.aggregation,
+      units: req.query.units,
+      sortOrder: req.query.sort_order,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Get series observations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/series/:id/vintages - Every value one observation has had, from first release to latest
+router.get('/:id/vintages', [
+  param('id').matches(SERIES_ID).withMessage('Invalid series ID'),
+  query('date').isISO8601().withMessage('Observation date is required')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const seriesId = req.params.id.toUpperCase();
+
+    if (!(await requireSynced(client, seriesId, res))) {
+      return;
+    }
+
+    const observationDate = req.query.date.slice(0, 10);
+    const vintages = await seriesStore.getVintages(client, seriesId, observationDate);
+
+    res.json({ seriesId, observationDate, vintages });
+
+  } catch (error) {
+    console.error('Get series vintages error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/series/sync - Sync tracked series from FRED now (admin only)
+router.post('/sync', authenticateToken, requireAdmin, [
+  body('series_ids').optional().isArray({ min: 1 }).withMessage('series_ids must be a non-empty array'),
+  body('series_ids.*').optional().matches(SERIES_ID).withMessage('Invalid series ID')
+], handleValidationErrors, async (req, res) => {
+  try {
+    const seriesIds = req.body.series_ids ? req.body.series_ids.map(id => id.toUpperCase()) : undefined;
+    const results = await seriesStore.syncAll(seriesIds);
+
+    if (results.every(result => result.error)) {
+      return res.status(503).json({ error: 'FRED data unavailable', results });
+    }
+
+    res.json({
+      message: 'Series sync completed',
+      results
+    });
+
+  } catch (error) {
+    console.error('Series sync error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
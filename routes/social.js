@@ -0,0 +1,361 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const pool = require('../database/config');
+const { authenticateToken, handleValidationErrors } = require('../middleware/auth');
+
+const router = express.Router();
+
+// 8-character invite code, e.g. "9F2C41AB"
+const generateInviteCode = () => crypto.randomBytes(4).toString('hex').toUpperCase();
+
+const groupValidation = [
+  body('name').isLength({ min: 3, max: 100 }).withMessage('Group name must be 3-100 characters'),
+  body('description').optional().isLength({ max: 500 }).withMessage('Description must be less than 500 characters')
+];
+
+// POST /api/social/follow/:userId - Follow a user
+router.post('/follow/:userId', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const followeeId = req.params.userId;
+
+    if (followeeId === req.user.id) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    const userResult = await client.query(
+      'SELECT id, username FROM users WHERE id = $1 AND is_active = true',
+      [followeeId]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await client.query(
+      `INSERT INTO user_follows (follower_id, followee_id)
+       VALUES ($1, $2)
+       ON CONFLICT (follower_id, followee_id) DO NOTHING`,
+      [req.user.id, followeeId]
+    );
+
+    res.json({
+      message: `You are now following ${userResult.rows[0].username}`,
+      user: userResult.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/social/follow/:userId - Unfollow a user
+router.delete('/follow/:userId', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'DELETE FROM user_follows WHERE follower_id = $1 AND followee_id = $2 RETURNING followee_id',
+      [req.user.id, req.params.userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'You are not following this user' });
+    }
+
+    res.json({ message: 'Unfollowed successfully' });
+
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/social/following - Users the current user follows
+router.get('/following', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.avatar_url, u.total_points, f.created_at as followed_at
+       FROM user_follows f
+       JOIN users u ON f.followee_id = u.id
+       WHERE f.follower_id = $1 AND u.is_active = true
+       ORDER BY f.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ following: result.rows });
+
+  } catch (error) {
+    console.error('Get following error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/social/followers - Users following the current user
+router.get('/followers', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.avatar_url, u.total_points, f.created_at as followed_at
+       FROM user_follows f
+       JOIN users u ON f.follower_id = u.id
+       WHERE f.followee_id = $1 AND u.is_active = true
+       ORDER BY f.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ followers: result.rows });
+
+  } catch (error) {
+    console.error('Get followers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/social/groups - Create a group; the creator becomes its owner
+router.post('/groups', authenticateToken, groupValidation, handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { name, description } = req.body;
+
+    await client.query('BEGIN');
+
+    const groupResult = await client.query(
+      `INSERT INTO user_groups (name, description, invite_code, owner_id)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [name, description || null, generateInviteCode(), req.user.id]
+    );
+
+    const group = groupResult.rows[0];
+
+    await client.query(
+      `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'owner')`,
+      [group.id, req.user.id]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Group created successfully',
+      group
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Create group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/social/groups - Groups the current user belongs to
+router.get('/groups', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT g.id, g.name, g.description, g.owner_id, gm.role, g.created_at,
+              (SELECT COUNT(*) FROM group_members WHERE group_id = g.id) as member_count
+       FROM group_members gm
+       JOIN user_groups g ON gm.group_id = g.id
+       WHERE gm.user_id = $1
+       ORDER BY g.created_at DESC`,
+      [req.user.id]
+    );
+
+    res.json({ groups: result.rows });
+
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/social/groups/join - Join a group with its invite code
+router.post('/groups/join', authenticateToken, [
+  body('invite_code').isLength({ min: 8, max: 8 }).withMessage('Invalid invite code')
+], handleValidationErrors, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const groupResult = await client.query(
+      'SELECT id, name, description FROM user_groups WHERE invite_code = $1',
+      [req.body.invite_code.toUpperCase()]
+    );
+
+    if (groupResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Invalid invite code' });
+    }
+
+    const group = groupResult.rows[0];
+
+    await client.query(
+      `INSERT INTO group_members (group_id, user_id, role)
+       VALUES ($1, $2, 'member')
+       ON CONFLICT (group_id, user_id) DO NOTHING`,
+      [group.id, req.user.id]
+    );
+
+    res.json({
+      message: `Joined ${group.name}`,
+      group
+    });
+
+  } catch (error) {
+    console.error('Join group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/social/groups/:id - Group details and members (members only)
+router.get('/groups/:id', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const membership = await client.query(
+      'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    const groupResult = await client.query('SELECT * FROM user_groups WHERE id = $1', [req.params.id]);
+    const group = groupResult.rows[0];
+
+    // Only the owner sees the invite code
+    if (membership.rows[0].role !== 'owner') {
+      delete group.invite_code;
+    }
+
+    const membersResult = await client.query(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.avatar_url, u.total_points, gm.role, gm.joined_at
+       FROM group_members gm
+       JOIN users u ON gm.user_id = u.id
+       WHERE gm.group_id = $1 AND u.is_active = true
+       ORDER BY u.total_points DESC`,
+      [req.params.id]
+    );
+
+    res.json({
+      group,
+      members: membersResult.rows
+    });
+
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/social/groups/:id/invite-code - Rotate the invite code (owner only)
+router.post('/groups/:id/invite-code', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `UPDATE user_groups SET invite_code = $1
+       WHERE id = $2 AND owner_id = $3
+       RETURNING id, invite_code`,
+      [generateInviteCode(), req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found or you are not the owner' });
+    }
+
+    res.json({
+      message: 'Invite code regenerated',
+      group: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Regenerate invite code error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// POST /api/social/groups/:id/leave - Leave a group (owners delete it instead)
+router.post('/groups/:id/leave', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const membership = await client.query(
+      'SELECT role FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (membership.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found' });
+    }
+
+    if (membership.rows[0].role === 'owner') {
+      return res.status(400).json({ error: 'Owners cannot leave their group; delete it instead' });
+    }
+
+    await client.query(
+      'DELETE FROM group_members WHERE group_id = $1 AND user_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    res.json({ message: 'Left group successfully' });
+
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/social/groups/:id - Delete a group (owner only)
+router.delete('/groups/:id', authenticateToken, async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      'DELETE FROM user_groups WHERE id = $1 AND owner_id = $2 RETURNING id',
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Group not found or you are not the owner' });
+    }
+
+    res.json({ message: 'Group deleted successfully' });
+
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
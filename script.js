@@ -4,12 +4,11 @@
 // FRED API Integration Classes
 // =============================================================================
 
+// Indicator data comes from the backend's series store, synced from FRED
 class FREDClient {
-    constructor(apiKey, options = {}) {
-        this.apiKey = apiKey;
-        this.baseURL = 'https://api.stlouisfed.org/fred';
+    constructor(baseURL, options = {}) {
+        this.baseURL = baseURL;
         this.cache = new Map();
-        this.rateLimiter = { requests: [], canMakeRequest: () => true }; // Simplified for demo
         this.defaultCacheDuration = options.cacheDuration || 3600000;
     }
 
@@ -19,8 +18,6 @@ class FREDClient {
         if (cached) return cached;
 
         const url = new URL(`${this.baseURL}/${endpoint}`);
-        url.searchParams.append('api_key', this.apiKey);
-        url.searchParams.append('file_type', 'json');
         
         Object.entries(params).forEach(([key, value]) => {
             if (value !== undefined && value !== null) {
@@ -31,7 +28,8 @@ class FREDClient {
         try {
             const response = await fetch(url.toString());
             if (!response.ok) {
-                throw new Error(`FRED API error: ${response.status}`);
+                const body = await response.json().catch(() => ({}));
+                throw new Error(body.error || `Data request failed: ${response.status}`);
             }
             const data = await response.json();
             this.setCachedData(cacheKey, data);
@@ -44,11 +42,10 @@ class FREDClient {
 
     async getSeries(seriesId, options = {}) {
         const params = {
-            series_id: seriesId,
             limit: options.limit || 12,
             sort_order: 'desc'
         };
-        return await this.makeRequest('series/observations', params);
+        return await this.makeRequest(`series/${encodeURIComponent(seriesId)}/observations`, params);
     }
 
     getCachedData(key) {
@@ -70,14 +67,9 @@ class TrendgeistDataManager {
         this.isInitialized = false;
     }
 
-    async initialize(apiKey) {
-        if (!apiKey || apiKey === 'YOUR_ACTUAL_FRED_API_KEY_HERE') {
-            this.showAPIKeyNeeded();
-            return false;
-        }
-
+    async initialize() {
         try {
-            this.fredClient = new FREDClient(apiKey);
+            this.fredClient = new FREDClient(getApiBaseUrl());
             // Test the connection
             await this.fredClient.getSeries('CPIAUCSL', { limit: 1 });
             this.isInitialized = true;
@@ -318,36 +310,6 @@ class TrendgeistDataManager {
         }
     }
 
-    showAPIKeyNeeded() {
-        const errorDiv = document.createElement('div');
-        errorDiv.style.cssText = `
-            background: rgba(239, 68, 68, 0.1);
-            border: 1px solid #ef4444;
-            border-radius: 8px;
-            padding: 16px;
-            margin: 16px 0;
-            color: #ef4444;
-            font-family: 'Quicksand', sans-serif;
-        `;
-        errorDiv.innerHTML = `
-            <h4 style="margin: 0 0 8px 0;">⚠️ FRED API Key Required</h4>
-            <p style="margin: 0 0 12px 0;">To access real economic data, you need a free FRED API key.</p>
-            <a href="https://fred.stlouisfed.org/docs/api/api_key.html" 
-               target="_blank" 
-               style="color: var(--primary-orange); text-decoration: none; font-weight: 600;">
-               → Get Your Free API Key Here
-            </a>
-            <p style="margin: 12px 0 0 0; font-size: 0.8rem;">
-               Then add your key to the JavaScript code and reload the page.
-            </p>
-        `;
-        
-        const coachSection = document.querySelector('.ai-coach');
-        if (coachSection) {
-            coachSection.appendChild(errorDiv);
-        }
-    }
-
     showSuccessMessage() {
         setTimeout(() => {
             showToast('🎉 Connected to live economic data from Federal Reserve!', 'success');
@@ -355,7 +317,7 @@ class TrendgeistDataManager {
     }
 
     showConnectionError() {
-        showToast('⚠️ Could not connect to FRED API. Check your API key.', 'info');
+        showToast('⚠️ Could not load live economic data. Check that the backend is running.', 'info');
     }
 }
 
@@ -364,11 +326,9 @@ class TrendgeistDataManager {
 // =============================================================================
 
 async function initializeFREDIntegration() {
-    // 🔑 Your FRED API Key - Replace with your actual key
-    const FRED_API_KEY = '023c0cac1b685792419d62efef9a950e';
-    
+    // The FRED API key lives on the backend (FRED_API_KEY)
     const dataManager = new TrendgeistDataManager();
-    const initialized = await dataManager.initialize(FRED_API_KEY);
+    const initialized = await dataManager.initialize();
     
     if (initialized) {
         // Update with real data every 30 minutes
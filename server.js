@@ -13,6 +13,10 @@ const pool = require('./database/config');
 const cacheManager = require('./utils/cache');
 const WebSocketManager = require('./utils/websocket');
 const scoringSystem = require('./utils/scoring');
+const economicCalendar = require('./utils/calendar');
+const seasonManager = require('./utils/seasons');
+const seriesStore = require('./utils/seriesStore');
+const consensusEngine = require('./utils/consensus');
 const { cleanupExpiredTokens } = require('./middleware/auth');
 
 // Import routes
@@ -20,6 +24,13 @@ const authRoutes = require('./routes/auth');
 const predictionRoutes = require('./routes/predictions');
 const leaderboardRoutes = require('./routes/leaderboard');
 const paymentRoutes = require('./routes/payments');
+const eventRoutes = require('./routes/events');
+const calendarRoutes = require('./routes/calendar');
+const socialRoutes = require('./routes/social');
+const scoringRoutes = require('./routes/scoring');
+const reportRoutes = require('./routes/reports');
+const fredRoutes = require('./routes/fred');
+const seriesRoutes = require('./routes/series');
 
 // Create Express app and HTTP server
 const app = express();
@@ -73,6 +84,8 @@ app.use(express.static('.', {
 
 // Initialize WebSocket
 const wsManager = new WebSocketManager(server);
+app.locals.wsManager = wsManager;
+scoringSystem.setWebSocketManager(wsManager);
 
 // Initialize Gemini AI
 let genAI = null;
@@ -242,6 +255,13 @@ app.use('/api/auth', authRoutes);
 app.use('/api/predictions', predictionRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/social', socialRoutes);
+app.use('/api/scoring', scoringRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/fred', fredRoutes);
+app.use('/api/series', seriesRoutes);
 
 // Legacy Gemini AI endpoints (for backward compatibility)
 app.post('/api/explain-indicator', async (req, res) => {
@@ -297,7 +317,7 @@ app.post('/api/admin/resolve-prediction', async (req, res) => {
     
     // Broadcast the resolution
     if (wsManager) {
-      const user = { id: result.userId, username: 'System' }; // You'd get real user data
+      const user = { id: result.userId, username: 'System', total_points: result.newTotalPoints }; // You'd get real user data
       wsManager.broadcastPredictionResolution(predictionId, result, user);
     }
     
@@ -444,6 +464,82 @@ if (process.env.NODE_ENV !== 'test') {
   // Clean up expired tokens every 6 hours
   setInterval(cleanupExpiredTokens, 6 * 60 * 60 * 1000);
   
+  // Drive market events from the release calendar every 15 minutes:
+  // open upcoming events, close them before release, resolve them from FRED
+  setInterval(async () => {
+    try {
+      const { created, closed, resolved } = await economicCalendar.sync();
+      created.forEach(event => wsManager.broadcastMarketEventUpdate(event, 'opened'));
+      closed.forEach(event => wsManager.broadcastMarketEventUpdate(event, 'closed'));
+      resolved.forEach(result => wsManager.broadcastEventResolution(result.event, result.users));
+      if (created.length + closed.length + resolved.length > 0) {
+        console.log(`✅ Calendar sync: ${created.length} opened, ${closed.length} closed, ${resolved.length} resolved`);
+      }
+    } catch (error) {
+      console.error('Error running release calendar sync:', error);
+    }
+  }, 15 * 60 * 1000);
+  
+  // Close ended seasons (archiving standings and awarding badges) and open new ones every hour
+  const rotateSeasons = async () => {
+    try {
+      const closed = await seasonManager.rotate();
+      closed.forEach(({ season, winners }) => {
+        winners.forEach(winner => wsManager.sendNotificationToUser(winner.user_id, {
+          type: 'season_badge',
+          title: `${season.name} finished`,
+          message: `You finished #${winner.rank} in the ${season.season_type} season`,
+          badge: winner.badge,
+          seasonId: season.id
+        }));
+      });
+      if (closed.length > 0) {
+        await scoringSystem.invalidateLeaderboardCaches();
+        console.log(`🏁 Closed ${closed.length} seasons`);
+      }
+    } catch (error) {
+      console.error('Error rotating seasons:', error);
+    }
+  };
+  rotateSeasons();
+  setInterval(rotateSeasons, 60 * 60 * 1000);
+  
+  // Pull new releases and revisions of the tracked FRED series at startup and every hour
+  const syncSeries = async () => {
+    try {
+      const results = await seriesStore.syncAll();
+      const changed = results.filter(result => result.inserted > 0 || result.revised > 0);
+      if (changed.length > 0) {
+        console.log(`📈 Series sync: ${changed.map(result => result.seriesId).join(', ')} updated`);
+      }
+    } catch (error) {
+      console.error('Error syncing series:', error);
+    }
+  };
+  syncSeries();
+  setInterval(syncSeries, 60 * 60 * 1000);
+  
+  // Snapshot the crowd consensus of every open market event every hour
+  setInterval(async () => {
+    try {
+      await consensusEngine.snapshotOpenEvents();
+    } catch (error) {
+      console.error('Error snapshotting consensus:', error);
+    }
+  }, 60 * 60 * 1000);
+  
+  // Snapshot every leaderboard at startup and once a day for rank history charts;
+  // snapshots are per day, so a restart does not duplicate them
+  const snapshotRanks = async () => {
+    try {
+      await scoringSystem.snapshotAllRanks();
+    } catch (error) {
+      console.error('Error snapshotting leaderboard ranks:', error);
+    }
+  };
+  snapshotRanks();
+  setInterval(snapshotRanks, 24 * 60 * 60 * 1000);
+  
   console.log('⏰ Scheduled cleanup tasks initialized');
 }
 
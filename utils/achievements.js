@@ -0,0 +1,146 @@
+const pool = require('../database/config');
+
+// Rules-based achievements, checked after each prediction is scored.
+// Each rule gets { userId, prediction, result, scoring } and returns true to award it.
+// Higher prestige achievements take precedence as the user's leaderboard badge.
+const ACHIEVEMENTS = [
+  {
+    id: 'first_correct',
+    name: 'First Call',
+    description: 'Make your first correct prediction',
+    prestige: 1,
+    check: ({ result }) => result.isCorrect
+  },
+  {
+    id: 'first_fed_call',
+    name: 'Fed Whisperer',
+    description: 'Make your first correct Fed rate prediction',
+    prestige: 2,
+    check: ({ prediction, result }) => result.isCorrect && prediction.event_type === 'fed_rate'
+  },
+  {
+    id: 'early_bird',
+    name: 'Early Bird',
+    description: 'Make a correct prediction at least 7 days before it locked',
+    prestige: 2,
+    check: ({ prediction, result }) => {
+      const lockTime = new Date(prediction.locks_at || prediction.expires_at);
+      const leadDays = (lockTime - new Date(prediction.created_at)) / (24 * 60 * 60 * 1000);
+      return result.isCorrect && leadDays >= 7;
+    }
+  },
+  {
+    id: 'streak_10',
+    name: 'On Fire',
+    description: 'Reach a 10-prediction win streak',
+    prestige: 3,
+    check: ({ result }) => result.breakdown.newStreak >= 10
+  },
+  {
+    id: 'well_calibrated',
+    name: 'Well Calibrated',
+    description: 'Stay within 5% calibration error over at least 50 resolved predictions',
+    prestige: 4,
+    check: async ({ userId, scoring }) => {
+      const calibration = await scoring.getUserCalibration(userId);
+      return calibration.totalPredictions >= 50 && calibration.calibrationError <= 0.05;
+    }
+  }
+];
+
+class AchievementEngine {
+  constructor(rules = ACHIEVEMENTS) {
+    this.rules = rules;
+    this.rulesById = new Map(rules.map(rule => [rule.id, rule]));
+  }
+
+  // Public shape of an awarded achievement
+  formatAchievement(row) {
+    const rule = this.rulesById.get(row.achievement_id);
+    return {
+      id: row.achievement_id,
+      name: rule ? rule.name : row.achievement_id,
+      description: rule ? rule.description : null,
+      awardedAt: row.awarded_at,
+      predictionId: row.prediction_id
+    };
+  }
+
+  // Check every rule the user has not earned yet; returns newly awarded achievements
+  async evaluate(context) {
+    const client = await pool.connect();
+
+    try {
+      const earnedResult = await client.query(
+        'SELECT achievement_id FROM user_achievements WHERE user_id = $1',
+        [context.userId]
+      );
+      const earned = new Set(earnedResult.rows.map(row => row.achievement_id));
+      const awarded = [];
+
+      for (const rule of this.rules) {
+        if (earned.has(rule.id)) continue;
+
+        try {
+          if (!(await rule.check(context))) continue;
+        } catch (error) {
+          console.error(`Achievement rule ${rule.id} failed:`, error.message);
+          continue;
+        }
+
+        const insertResult = await client.query(
+          `INSERT INTO user_achievements (user_id, achievement_id, prediction_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, achievement_id) DO NOTHING
+           RETURNING *`,
+          [context.userId, rule.id, context.prediction.id]
+        );
+
+        if (insertResult.rows.length > 0) {
+          earned.add(rule.id);
+          awarded.push(this.formatAchievement(insertResult.rows[0]));
+        }
+      }
+
+      if (awarded.length > 0) {
+        await this.updateBadge(client, context.userId, earned);
+      }
+
+      return awarded;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // Show the user's most prestigious achievement as their leaderboard badge
+  async updateBadge(client, userId, earned) {
+    const best = this.rules
+      .filter(rule => earned.has(rule.id))
+      .sort((a, b) => b.prestige - a.prestige)[0];
+
+    if (best) {
+      await client.query(
+        `UPDATE leaderboard SET badge = $1 WHERE user_id = $2 AND category = 'overall'`,
+        [best.id, userId]
+      );
+    }
+  }
+
+  async getUserAchievements(client, userId) {
+    const result = await client.query(
+      `SELECT achievement_id, awarded_at, prediction_id
+       FROM user_achievements
+       WHERE user_id = $1
+       ORDER BY awarded_at ASC`,
+      [userId]
+    );
+
+    return result.rows.map(row => this.formatAchievement(row));
+  }
+}
+
+// Create singleton instance
+const achievementEngine = new AchievementEngine();
+
+module.exports = achievementEngine;
@@ -0,0 +1,443 @@
+const fs = require('fs');
+const path = require('path');
+const pool = require('../database/config');
+const fredResolver = require('./resolver');
+const consensusEngine = require('./consensus');
+
+// Economic release calendar: stores scheduled CPI, NFP, FOMC, GDP... releases and
+// drives the market event lifecycle (create before, close ahead of, resolve after release)
+class EconomicCalendar {
+  constructor() {
+    this.CREATE_HORIZON_DAYS = 14;   // Open market events this far ahead of a release
+    this.CLOSE_LEAD_MINUTES = 60;    // Stop accepting predictions this long before a release
+    this.DEFAULT_TIMEZONE = 'America/New_York';
+    this.EVENT_TYPES = ['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi', 'custom'];
+    this.REQUIRED_CSV_COLUMNS = ['title', 'release_date'];
+    this.EVENT_TYPE_KEYWORDS = [
+      { pattern: /consumer price|\bcpi\b/i, eventType: 'cpi' },
+      { pattern: /producer price|\bppi\b/i, eventType: 'ppi' },
+      { pattern: /employment situation|nonfarm|payroll/i, eventType: 'payrolls' },
+      { pattern: /unemployment/i, eventType: 'unemployment' },
+      { pattern: /fomc|federal funds|fed rate/i, eventType: 'fed_rate' },
+      { pattern: /gross domestic|\bgdp\b/i, eventType: 'gdp' },
+      { pattern: /retail sales/i, eventType: 'retail_sales' },
+      { pattern: /housing starts|new residential construction/i, eventType: 'housing' }
+    ];
+  }
+
+  // Errors carry an HTTP status; malformed calendars are client errors (400)
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Convert a wall-clock date and time in an IANA timezone to a UTC Date
+  zonedTimeToUtc(date, time, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = (time || '00:00').split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    let formatter;
+    try {
+      formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+      });
+    } catch (error) {
+      throw this.createError(`Unknown timezone: ${timeZone}`, 400);
+    }
+
+    // Left for normalizeRelease to reject
+    if (isNaN(wallClock)) return new Date(NaN);
+
+    const offsetAt = (instant) => {
+      const parts = formatter.formatToParts(new Date(instant)).reduce((acc, part) => {
+        acc[part.type] = part.value;
+        return acc;
+      }, {});
+
+      const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+      return asUtc - instant;
+    };
+
+    // Apply the offset twice so releases near a DST change land on the right side
+    let utc = wallClock - offsetAt(wallClock);
+    utc = wallClock - offsetAt(utc);
+
+    return new Date(utc);
+  }
+
+  guessEventType(title) {
+    const match = this.EVENT_TYPE_KEYWORDS.find(keyword => keyword.pattern.test(title));
+    return match ? match.eventType : null;
+  }
+
+  // Fill in the series and validate a parsed release
+  normalizeRelease(release) {
+    const eventType = release.event_type || this.guessEventType(release.title || '');
+    const seriesId = release.series_id || fredResolver.SERIES_BY_EVENT_TYPE[eventType];
+
+    if (!this.EVENT_TYPES.includes(eventType) || !seriesId || !release.title ||
+        !(release.release_at instanceof Date) || isNaN(release.release_at)) {
+      throw this.createError(`Invalid release: ${release.title || JSON.stringify(release)}`, 400);
+    }
+
+    return {
+      event_type: eventType,
+      series_id: seriesId,
+      title: release.title,
+      release_at: release.release_at,
+      timezone: release.timezone || this.DEFAULT_TIMEZONE,
+      observation_date: release.observation_date || null,
+      source: release.source
+    };
+  }
+
+  // CSV columns: event_type,series_id,title,release_date,release_time,timezone,observation_date
+  parseCSV(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() !== '' && !line.startsWith('#'));
+    if (lines.length === 0) {
+      throw this.createError('CSV has no header row', 400);
+    }
+
+    const header = this.splitCSVLine(lines.shift()).map(column => column.trim());
+    const missing = this.REQUIRED_CSV_COLUMNS.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      throw this.createError(`CSV is missing required columns: ${missing.join(', ')}`, 400);
+    }
+
+    return lines.map(line => {
+      const values = this.splitCSVLine(line);
+      const row = header.reduce((acc, column, i) => {
+        acc[column] = (values[i] || '').trim();
+        return acc;
+      }, {});
+
+      const timezone = row.timezone || this.DEFAULT_TIMEZONE;
+
+      return this.normalizeRelease({
+        event_type: row.event_type || null,
+        series_id: row.series_id || null,
+        title: row.title,
+        release_at: this.zonedTimeToUtc(row.release_date, row.release_time, timezone),
+        timezone,
+        observation_date: row.observation_date || null,
+        source: 'csv'
+      });
+    });
+  }
+
+  splitCSVLine(line) {
+    const values = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === ',' && !inQuotes) {
+        values.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    values.push(current);
+
+    return values;
+  }
+
+  // Parse VEVENTs. Optional X-TRENDGEIST-EVENT-TYPE, X-FRED-SERIES and
+  // X-OBSERVATION-DATE properties override the defaults guessed from SUMMARY.
+  parseICS(content) {
+    // Unfold continuation lines (RFC 5545)
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const releases = [];
+    let current = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+        continue;
+      }
+
+      if (line === 'END:VEVENT') {
+        if (current) releases.push(this.buildICSRelease(current));
+        current = null;
+        continue;
+      }
+
+      if (!current) continue;
+
+      const separator = line.indexOf(':');
+      if (separator === -1) continue;
+
+      const [name, ...params] = line.slice(0, separator).split(';');
+      current[name.toUpperCase()] = {
+        value: line.slice(separator + 1),
+        params: params.reduce((acc, param) => {
+          const [key, value] = param.split('=');
+          acc[key.toUpperCase()] = value;
+          return acc;
+        }, {})
+      };
+    }
+
+    return releases;
+  }
+
+  buildICSRelease(properties) {
+    const start = properties.DTSTART;
+    if (!start) {
+      throw this.createError('Calendar event is missing DTSTART', 400);
+    }
+
+    const match = start.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) {
+      throw this.createError(`Unsupported DTSTART value: ${start.value}`, 400);
+    }
+
+    const [, year, month, day, hour = '00', minute = '00', , isUtc] = match;
+    const timezone = isUtc ? 'UTC' : (start.params.TZID || this.DEFAULT_TIMEZONE);
+    const value = (name) => (properties[name] ? properties[name].value : null);
+
+    return this.normalizeRelease({
+      event_type: value('X-TRENDGEIST-EVENT-TYPE'),
+      series_id: value('X-FRED-SERIES'),
+      title: value('SUMMARY'),
+      release_at: this.zonedTimeToUtc(`${year}-${month}-${day}`, `${hour}:${minute}`, timezone),
+      timezone,
+      observation_date: value('X-OBSERVATION-DATE'),
+      source: 'ics'
+    });
+  }
+
+  // Upsert releases; a release is identified by its series and release time
+  async importReleases(releases) {
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      for (const release of releases) {
+        await client.query(
+          `INSERT INTO economic_releases (event_type, series_id, title, release_at, timezone, observation_date, source)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (series_id, release_at)
+           DO UPDATE SET
+             event_type = EXCLUDED.event_type,
+             title = EXCLUDED.title,
+             timezone = EXCLUDED.timezone,
+             observation_date = EXCLUDED.observation_date,
+             source = EXCLUDED.source,
+             updated_at = CURRENT_TIMESTAMP`,
+          [
+            release.event_type,
+            release.series_id,
+            release.title,
+            release.release_at,
+            release.timezone,
+            release.observation_date,
+            release.source
+          ]
+        );
+      }
+
+      await client.query('COMMIT');
+      return releases.length;
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async importContent(format, content) {
+    const releases = format === 'ics' ? this.parseICS(content) : this.parseCSV(content);
+    return await this.importReleases(releases);
+  }
+
+  async importFile(filePath) {
+    const format = path.extname(filePath).toLowerCase() === '.ics' ? 'ics' : 'csv';
+    return await this.importContent(format, fs.readFileSync(filePath, 'utf8'));
+  }
+
+  async getReleases(filters = {}) {
+    const client = await pool.connect();
+
+    try {
+      let whereClause = 'WHERE 1=1';
+      let params = [];
+
+      if (filters.from) {
+        params.push(filters.from);
+        whereClause += ` AND r.release_at >= $${params.length}`;
+      }
+
+      if (filters.to) {
+        params.push(filters.to);
+        whereClause += ` AND r.release_at <= $${params.length}`;
+      }
+
+      if (filters.eventType) {
+        params.push(filters.eventType);
+        whereClause += ` AND r.event_type = $${params.length}`;
+      }
+
+      const result = await client.query(
+        `SELECT r.id, r.event_type, r.series_id, r.title, r.release_at, r.timezone,
+                TO_CHAR(r.observation_date, 'YYYY-MM-DD') as observation_date,
+                r.market_event_id, e.status as market_event_status
+         FROM economic_releases r
+         LEFT JOIN market_events e ON r.market_event_id = e.id
+         ${whereClause}
+         ORDER BY r.release_at ASC`,
+        params
+      );
+
+      return result.rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // Next scheduled release for an event type, used to lock predictions without a market event
+  async getNextRelease(client, eventType, after = new Date()) {
+    const result = await client.query(
+      `SELECT * FROM economic_releases
+       WHERE event_type = $1 AND release_at > $2
+       ORDER BY release_at ASC
+       LIMIT 1`,
+      [eventType, after]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Open a market event for each upcoming release that does not have one yet
+  async createUpcomingEvents() {
+    const client = await pool.connect();
+    const created = [];
+
+    try {
+      const releases = await client.query(
+        `SELECT *, TO_CHAR(observation_date, 'YYYY-MM-DD') as observation_day
+         FROM economic_releases
+         WHERE market_event_id IS NULL
+         AND release_at > NOW() + ($1 || ' minutes')::interval
+         AND release_at <= NOW() + ($2 || ' days')::interval
+         ORDER BY release_at ASC`,
+        [this.CLOSE_LEAD_MINUTES, this.CREATE_HORIZON_DAYS]
+      );
+
+      for (const release of releases.rows) {
+        await client.query('BEGIN');
+
+        try {
+          const closesAt = new Date(new Date(release.release_at).getTime() - this.CLOSE_LEAD_MINUTES * 60 * 1000);
+          const eventResult = await client.query(
+            `INSERT INTO market_events (event_type, title, resolution_criteria, closes_at, resolves_at, metadata)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [
+              release.event_type,
+              release.title,
+              `Resolved from the ${release.series_id} observation${release.observation_day ? ` for ${release.observation_day}` : ''} published at this release`,
+              closesAt,
+              release.release_at,
+              JSON.stringify({
+                series_id: release.series_id,
+                observation_date: release.observation_day,
+                release_id: release.id
+              })
+            ]
+          );
+
+          await client.query(
+            'UPDATE economic_releases SET market_event_id = $1 WHERE id = $2',
+            [eventResult.rows[0].id, release.id]
+          );
+
+          await client.query('COMMIT');
+          created.push(eventResult.rows[0]);
+
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`Failed to create market event for release ${release.id}:`, error.message);
+        }
+      }
+
+      return created;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // Close open market events once their closing time has passed, keeping the consensus
+  // they closed with as their final snapshot
+  async closeDueEvents() {
+    const client = await pool.connect();
+    let closed;
+
+    try {
+      const result = await client.query(
+        `UPDATE market_events
+         SET status = 'closed'
+         WHERE status = 'open' AND closes_at <= NOW()
+         RETURNING *`
+      );
+      closed = result.rows;
+
+    } finally {
+      client.release();
+    }
+
+    for (const event of closed) {
+      await consensusEngine.recordSnapshot(event.id);
+    }
+
+    return closed;
+  }
+
+  // Run one calendar pass: create, close, then resolve events from FRED
+  async sync() {
+    const created = await this.createUpcomingEvents();
+    const closed = await this.closeDueEvents();
+    const resolved = await fredResolver.resolveDueEvents();
+
+    return { created, closed, resolved };
+  }
+}
+
+// Create singleton instance
+const economicCalendar = new EconomicCalendar();
+
+// Import a schedule file from the command line: node utils/calendar.js <file.csv|file.ics>
+if (require.main === module) {
+  const filePath = process.argv[2];
+
+  if (!filePath) {
+    console.error('Usage: node utils/calendar.js <releases.csv|releases.ics>');
+    process.exit(1);
+  }
+
+  economicCalendar.importFile(filePath)
+    .then((count) => {
+      console.log(`✅ Imported ${count} scheduled releases from ${filePath}`);
+      return pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Calendar import failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = economicCalendar;
@@ -0,0 +1,320 @@
+const pool = require('../database/config');
+const cacheManager = require('./cache');
+
+// Crowd consensus for a market event, pooled from the current value of every
+// prediction on it. Categorical calls become probability vectors over the event's
+// outcomes, numeric forecasts are summarized by their median, and distribution
+// forecasts are averaged bucket by bucket.
+class ConsensusEngine {
+  constructor() {
+    // Outcome sets a categorical prediction can belong to
+    this.OUTCOME_GROUPS = [['yes', 'no'], ['higher', 'lower', 'same']];
+    // Brier score of an uninformative 50/50 forecaster; skill is measured against it
+    this.BASELINE_BRIER = 0.25;
+    // Resolved predictions at which a forecaster's track record counts for half its weight
+    this.SKILL_PRIOR_COUNT = 10;
+    this.MIN_WEIGHT = 0.1;
+    // Power applied to pooled probabilities to offset the crowd's shared caution
+    this.EXTREMIZING_FACTOR = 1.5;
+    this.CACHE_TTL = 120;
+  }
+
+  parseValue(prediction) {
+    return typeof prediction.prediction_value === 'string'
+      ? JSON.parse(prediction.prediction_value)
+      : prediction.prediction_value;
+  }
+
+  // Weight from past accuracy: 1 for a forecaster with no record, up to 2 for a perfect
+  // one, shrunk toward 1 until they have a few resolved predictions
+  skillWeight(record) {
+    if (!record || !record.scored_predictions || record.avg_brier_score === null) {
+      return 1;
+    }
+
+    const count = parseInt(record.scored_predictions);
+    const skill = Math.max(-1, Math.min(1, 1 - parseFloat(record.avg_brier_score) / this.BASELINE_BRIER));
+    const shrunk = skill * count / (count + this.SKILL_PRIOR_COUNT);
+
+    return Math.max(this.MIN_WEIGHT, 1 + shrunk);
+  }
+
+  // Average of probability vectors, weighted
+  poolProbabilities(outcomes, forecasts, weightOf) {
+    const totals = Object.fromEntries(outcomes.map(outcome => [outcome, 0]));
+    let totalWeight = 0;
+
+    for (const forecast of forecasts) {
+      const weight = weightOf(forecast);
+      totalWeight += weight;
+      outcomes.forEach(outcome => { totals[outcome] += weight * forecast.probabilities[outcome]; });
+    }
+
+    return Object.fromEntries(outcomes.map(outcome => [outcome, totals[outcome] / totalWeight]));
+  }
+
+  // Push pooled probabilities away from uniform: p^a, renormalized
+  extremize(probabilities, factor = this.EXTREMIZING_FACTOR) {
+    const powered = Object.entries(probabilities).map(([outcome, p]) => [outcome, Math.pow(p, factor)]);
+    const total = powered.reduce((sum, [, p]) => sum + p, 0);
+
+    return Object.fromEntries(powered.map(([outcome, p]) => [outcome, total > 0 ? p / total : 0]));
+  }
+
+  round(probabilities) {
+    return Object.fromEntries(
+      Object.entries(probabilities).map(([outcome, p]) => [outcome, parseFloat(p.toFixed(4))])
+    );
+  }
+
+  // Categorical calls: the predicted outcome gets the prediction's confidence,
+  // the rest of its outcome group shares what is left
+  aggregateCategorical(predictions, weights) {
+    const group = this.OUTCOME_GROUPS
+      .map(outcomes => ({ outcomes, count: predictions.filter(p => outcomes.includes(p.predicted_outcome)).length }))
+      .sort((a, b) => b.count - a.count)[0];
+
+    if (group.count === 0) {
+      return null;
+    }
+
+    const forecasts = predictions
+      .filter(prediction => group.outcomes.includes(prediction.predicted_outcome))
+      .map(prediction => {
+        const confidence = Math.min(Math.max(prediction.confidence, 0), 100) / 100;
+        const rest = (1 - confidence) / (group.outcomes.length - 1);
+        return {
+          userId: prediction.user_id,
+          probabilities: Object.fromEntries(group.outcomes.map(outcome => [
+            outcome,
+            outcome === prediction.predicted_outcome ? confidence : rest
+          ]))
+        };
+      });
+
+    const probabilities = this.poolProbabilities(group.outcomes, forecasts, () => 1);
+    const skillWeighted = this.poolProbabilities(group.outcomes, forecasts, forecast => weights.get(forecast.userId));
+
+    return {
+      forecasters: forecasts.length,
+      probabilities: this.round(probabilities),
+      skillWeighted: this.round(skillWeighted),
+      extremized: this.round(this.extremize(skillWeighted))
+    };
+  }
+
+  // Value below which the given share of weight falls
+  weightedQuantile(values, quantile) {
+    const sorted = [...values].sort((a, b) => a.value - b.value);
+    const totalWeight = sorted.reduce((sum, item) => sum + item.weight, 0);
+    let cumulative = 0;
+
+    for (const item of sorted) {
+      cumulative += item.weight;
+      if (cumulative >= quantile * totalWeight) {
+        return item.value;
+      }
+    }
+
+    return sorted[sorted.length - 1].value;
+  }
+
+  aggregateNumeric(predictions, weights) {
+    const points = predictions
+      .filter(prediction => prediction.predicted_outcome === 'numeric')
+      .map(prediction => ({ userId: prediction.user_id, value: this.parseValue(prediction).point }));
+
+    if (points.length === 0) {
+      return null;
+    }
+
+    const equal = points.map(point => ({ value: point.value, weight: 1 }));
+    const skilled = points.map(point => ({ value: point.value, weight: weights.get(point.userId) }));
+
+    return {
+      forecasters: points.length,
+      median: this.weightedQuantile(equal, 0.5),
+      lowerQuartile: this.weightedQuantile(equal, 0.25),
+      upperQuartile: this.weightedQuantile(equal, 0.75),
+      mean: parseFloat((points.reduce((sum, point) => sum + point.value, 0) / points.length).toFixed(6)),
+      skillWeightedMedian: this.weightedQuantile(skilled, 0.5)
+    };
+  }
+
+  // Distribution forecasts are pooled by bucket label; buckets a forecaster left out count as 0
+  aggregateDistribution(predictions, weights) {
+    const forecasts = predictions
+      .filter(prediction => prediction.predicted_outcome === 'distribution')
+      .map(prediction => ({
+        userId: prediction.user_id,
+        buckets: this.parseValue(prediction).buckets
+      }));
+
+    if (forecasts.length === 0) {
+      return null;
+    }
+
+    const labels = [];
+    forecasts.forEach(forecast => forecast.buckets.forEach(bucket => {
+      if (!labels.includes(bucket.label)) labels.push(bucket.label);
+    }));
+
+    for (const forecast of forecasts) {
+      forecast.probabilities = Object.fromEntries(labels.map(label => {
+        const bucket = forecast.buckets.find(b => b.label === label);
+        return [label, bucket ? bucket.probability / 100 : 0];
+      }));
+    }
+
+    const probabilities = this.poolProbabilities(labels, forecasts, () => 1);
+    const skillWeighted = this.poolProbabilities(labels, forecasts, forecast => weights.get(forecast.userId));
+
+    return {
+      forecasters: forecasts.length,
+      buckets: this.round(probabilities),
+      skillWeighted: this.round(skillWeighted),
+      extremized: this.round(this.extremize(skillWeighted))
+    };
+  }
+
+  // Compute the current consensus for an event
+  async calculate(client, event) {
+    const predictionsResult = await client.query(
+      `SELECT user_id, predicted_outcome, prediction_value, confidence
+       FROM predictions
+       WHERE event_id = $1 AND voided_at IS NULL`,
+      [event.id]
+    );
+    const predictions = predictionsResult.rows;
+
+    // Track record in the event's category when there is one, else overall
+    const recordsResult = await client.query(
+      `SELECT DISTINCT ON (user_id) user_id, avg_brier_score, scored_predictions
+       FROM leaderboard
+       WHERE user_id = ANY($1) AND category IN ('overall', $2) AND scored_predictions > 0
+       ORDER BY user_id, category = 'overall' ASC`,
+      [predictions.map(prediction => prediction.user_id), event.event_type]
+    );
+    const records = new Map(recordsResult.rows.map(row => [row.user_id, row]));
+    const weights = new Map(predictions.map(prediction => [
+      prediction.user_id,
+      this.skillWeight(records.get(prediction.user_id))
+    ]));
+
+    return {
+      eventId: event.id,
+      computedAt: new Date().toISOString(),
+      forecasters: new Set(predictions.map(prediction => prediction.user_id)).size,
+      predictions: predictions.length,
+      categorical: this.aggregateCategorical(predictions, weights),
+      numeric: this.aggregateNumeric(predictions, weights),
+      distribution: this.aggregateDistribution(predictions, weights)
+    };
+  }
+
+  // Current consensus, cached briefly
+  async getConsensus(client, event) {
+    const cacheKey = `consensus:${event.id}`;
+    const cached = await cacheManager.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const consensus = await this.calculate(client, event);
+    await cacheManager.set(cacheKey, consensus, this.CACHE_TTL);
+    return consensus;
+  }
+
+  // Consensus as it stood when predictions locked: the last snapshot, or a fresh
+  // calculation for events resolved before snapshots were kept
+  async getFinalConsensus(client, event) {
+    const result = await client.query(
+      `SELECT consensus FROM consensus_snapshots
+       WHERE event_id = $1
+       ORDER BY snapshot_hour DESC
+       LIMIT 1`,
+      [event.id]
+    );
+
+    return result.rows.length > 0 ? result.rows[0].consensus : this.calculate(client, event);
+  }
+
+  // Snapshots are kept per hour; the last change within an hour wins
+  async getHistory(client, eventId) {
+    const result = await client.query(
+      `SELECT snapshot_hour, forecasters, consensus
+       FROM consensus_snapshots
+       WHERE event_id = $1
+       ORDER BY snapshot_hour ASC`,
+      [eventId]
+    );
+
+    return result.rows.map(row => ({
+      at: row.snapshot_hour,
+      forecasters: row.forecasters,
+      categorical: row.consensus.categorical,
+      numeric: row.consensus.numeric,
+      distribution: row.consensus.distribution
+    }));
+  }
+
+  // Recompute an event's consensus and store it as this hour's snapshot: after one of its
+  // predictions changed, every hour while it is open, and when it closes. Failures are
+  // logged and never fail the prediction request.
+  async recordSnapshot(eventId) {
+    const client = await pool.connect();
+
+    try {
+      const eventResult = await client.query('SELECT id, event_type FROM market_events WHERE id = $1', [eventId]);
+      if (eventResult.rows.length === 0) {
+        return null;
+      }
+
+      const consensus = await this.calculate(client, eventResult.rows[0]);
+
+      await client.query(
+        `INSERT INTO consensus_snapshots (event_id, snapshot_hour, forecasters, consensus)
+         VALUES ($1, date_trunc('hour', NOW()), $2, $3)
+         ON CONFLICT (event_id, snapshot_hour)
+         DO UPDATE SET forecasters = EXCLUDED.forecasters, consensus = EXCLUDED.consensus, updated_at = CURRENT_TIMESTAMP`,
+        [eventId, consensus.forecasters, JSON.stringify(consensus)]
+      );
+
+      await cacheManager.set(`consensus:${eventId}`, consensus, this.CACHE_TTL);
+      return consensus;
+
+    } catch (error) {
+      console.error('Consensus snapshot error:', error);
+      return null;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Snapshot every open event, so its history has a point per hour even when no
+  // prediction changed
+  async snapshotOpenEvents() {
+    const client = await pool.connect();
+    let eventIds;
+
+    try {
+      const result = await client.query(
+        `SELECT id FROM market_events WHERE status = 'open' AND closes_at > NOW()`
+      );
+      eventIds = result.rows.map(row => row.id);
+    } finally {
+      client.release();
+    }
+
+    for (const eventId of eventIds) {
+      await this.recordSnapshot(eventId);
+    }
+
+    return eventIds.length;
+  }
+}
+
+// Create singleton instance
+const consensusEngine = new ConsensusEngine();
+
+module.exports = consensusEngine;
@@ -0,0 +1,191 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const cacheManager = require('./cache');
+
+// Server-side FRED API client.
+// Set FRED_API_URL to point at a local FRED stand-in, or FRED_FIXTURES_DIR to
+// replay recorded responses (one <SERIES_ID>.json file per series) offline.
+class FREDClient {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.FRED_API_KEY;
+    this.baseURL = options.baseURL || process.env.FRED_API_URL || 'https://api.stlouisfed.org/fred';
+    this.fixturesDir = options.fixturesDir || process.env.FRED_FIXTURES_DIR || null;
+    this.timeout = options.timeout || 10000;
+    // FRED allows 120 requests per minute per API key, shared by every caller on this server
+    this.requestsPerMinute = options.requestsPerMinute || parseInt(process.env.FRED_RATE_LIMIT) || 120;
+    // Realtime range covering every ALFRED vintage
+    this.ALFRED_START = '1776-07-04';
+    this.OPEN_END = '9999-12-31';
+  }
+
+  // Error carrying the HTTP status the proxy should answer with
+  createError(message, status, retryAfter) {
+    const error = new Error(message);
+    error.status = status;
+    if (retryAfter) error.retryAfter = retryAfter;
+    return error;
+  }
+
+  async request(endpoint, params = {}) {
+    if (this.fixturesDir) {
+      return this.readFixture(endpoint, params);
+    }
+
+    if (!this.apiKey) {
+      throw this.createError('FRED_API_KEY is not configured', 503);
+    }
+
+    const limit = await cacheManager.checkRateLimit('fred_api', this.requestsPerMinute, 60);
+    if (!limit.allowed) {
+      const retryAfter = limit.resetTime ? Math.max(1, Math.ceil((limit.resetTime - Date.now()) / 1000)) : 60;
+      throw this.createError('FRED rate limit reached', 429, retryAfter);
+    }
+
+    const query = { api_key: this.apiKey, file_type: 'json' };
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        query[key] = value;
+      }
+    });
+
+    try {
+      const response = await axios.get(`${this.baseURL}/${endpoint}`, {
+        params: query,
+        timeout: this.timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      if (!error.response) {
+        throw this.createError(`FRED API unavailable: ${error.message}`, 502);
+      }
+
+      const { status, data, headers } = error.response;
+      if (status === 429) {
+        throw this.createError('FRED rate limit reached', 429, parseInt(headers['retry-after']) || 60);
+      }
+      // FRED reports unknown series and bad parameters as 400 with an error_message
+      if (status === 400) {
+        throw this.createError((data && data.error_message) || 'Bad request to FRED', 400);
+      }
+      throw this.createError(`FRED API error: ${status}`, 502);
+    }
+  }
+
+  // Same as request, through the shared FRED cache
+  async cachedRequest(endpoint, params = {}, ttlSeconds = 3600) {
+    const cached = await cacheManager.getFREDCache(endpoint, params);
+    if (cached) {
+      return { data: cached, cached: true };
+    }
+
+    const data = await this.request(endpoint, params);
+    await cacheManager.cacheFREDResponse(endpoint, params, data, ttlSeconds);
+    return { data, cached: false };
+  }
+
+  // Serve series/observations requests from recorded fixture files
+  readFixture(endpoint, params) {
+    if (endpoint !== 'series/observations') {
+      throw this.createError(`No FRED fixture support for endpoint: ${endpoint}`, 400);
+    }
+
+    // Fixtures hold levels only
+    if (params.units && params.units !== 'lin') {
+      throw this.createError(`FRED fixtures do not support units=${params.units}`, 400);
+    }
+
+    const fixturePath = path.join(this.fixturesDir, `${params.series_id}.json`);
+    if (!fs.existsSync(fixturePath)) {
+      throw this.createError(`FRED fixture not found for series ${params.series_id}`, 404);
+    }
+
+    const fixture = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    // Values still current when the fixture was recorded stay current
+    const isOpen = (obs) => obs.realtime_end === this.OPEN_END || obs.realtime_end === fixture.realtime_end;
+
+    let observations = fixture.observations.filter(obs =>
+      (!params.observation_start || obs.date >= params.observation_start) &&
+      (!params.observation_end || obs.date <= params.observation_end)
+    );
+
+    if (params.realtime_start || params.realtime_end) {
+      // Vintages overlapping the requested realtime range, clipped to it like FRED does
+      const realtimeStart = params.realtime_start || fixture.realtime_end;
+      const realtimeEnd = params.realtime_end || realtimeStart;
+      observations = observations
+        .map(obs => ({ ...obs, realtime_end: isOpen(obs) ? this.OPEN_END : obs.realtime_end }))
+        .filter(obs => obs.realtime_start <= realtimeEnd && obs.realtime_end >= realtimeStart)
+        .map(obs => ({
+          ...obs,
+          realtime_start: obs.realtime_start > realtimeStart ? obs.realtime_start : realtimeStart,
+          realtime_end: obs.realtime_end < realtimeEnd ? obs.realtime_end : realtimeEnd
+        }));
+    } else {
+      observations = observations.filter(isOpen);
+    }
+
+    observations.sort((a, b) => a.date.localeCompare(b.date) || a.realtime_start.localeCompare(b.realtime_start));
+    if (params.sort_order === 'desc') {
+      observations.reverse();
+    }
+
+    const count = observations.length;
+    const offset = parseInt(params.offset) || 0;
+    observations = observations.slice(offset, params.limit ? offset + parseInt(params.limit) : undefined);
+
+    return { ...fixture, count, offset, observations };
+  }
+
+  async getObservations(seriesId, options = {}) {
+    return await this.request('series/observations', {
+      series_id: seriesId,
+      observation_start: options.observationStart,
+      observation_end: options.observationEnd,
+      realtime_start: options.realtimeStart,
+      realtime_end: options.realtimeEnd,
+      sort_order: options.sortOrder || 'asc',
+      limit: options.limit,
+      offset: options.offset
+    });
+  }
+
+  // Save every vintage of a series as a fixture for offline replay
+  async recordFixture(seriesId, dir) {
+    const data = await this.getObservations(seriesId, { realtimeStart: this.ALFRED_START, realtimeEnd: this.OPEN_END });
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, `${seriesId}.json`), JSON.stringify(data, null, 2) + '\n');
+    return data.observations.length;
+  }
+}
+
+// Create singleton instance
+const fredClient = new FREDClient();
+
+// Record fixtures from the command line: node utils/fred.js <SERIES_ID> [...]
+if (require.main === module) {
+  const seriesIds = process.argv.slice(2);
+  const dir = process.env.FRED_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'fred');
+
+  if (seriesIds.length === 0) {
+    console.error('Usage: node utils/fred.js <SERIES_ID> [SERIES_ID ...]');
+    process.exit(1);
+  }
+
+  // Always record from the live API, even when fixtures are configured for replay
+  const recorder = new FREDClient();
+  recorder.fixturesDir = null;
+
+  seriesIds.reduce((chain, seriesId) => chain.then(async () => {
+    const count = await recorder.recordFixture(seriesId.toUpperCase(), dir);
+    console.log(`✅ Recorded ${count} observations for ${seriesId.toUpperCase()}`);
+  }), Promise.resolve())
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('FRED fixture recording failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = fredClient;
@@ -0,0 +1,248 @@
+// Glicko-style skill ratings. Each resolved market event is one rating period:
+// every participant plays a weighted game against every other participant,
+// winning it when their Brier score on the event is lower.
+class RatingSystem {
+  constructor() {
+    this.INITIAL_RATING = 1500;
+    this.INITIAL_DEVIATION = 350;
+    this.MIN_DEVIATION = 30;
+    // Deviation regained per 30 days without a rated event
+    this.INACTIVITY_DEVIATION = 20;
+    this.Q = Math.log(10) / 400;
+  }
+
+  // Reduces the impact of opponents whose rating is uncertain
+  g(deviation) {
+    return 1 / Math.sqrt(1 + (3 * this.Q * this.Q * deviation * deviation) / (Math.PI * Math.PI));
+  }
+
+  expectedScore(rating, opponentRating, opponentDeviation) {
+    return 1 / (1 + Math.pow(10, (-this.g(opponentDeviation) * (rating - opponentRating)) / 400));
+  }
+
+  // Uncertainty grows back while a forecaster sits out
+  inflateDeviation(deviation, lastRatedAt, now = new Date()) {
+    if (!lastRatedAt) {
+      return deviation;
+    }
+
+    const periods = Math.max(0, (now - new Date(lastRatedAt)) / (30 * 24 * 60 * 60 * 1000));
+    return Math.min(
+      Math.sqrt(deviation * deviation + this.INACTIVITY_DEVIATION * this.INACTIVITY_DEVIATION * periods),
+      this.INITIAL_DEVIATION
+    );
+  }
+
+  // 1 for a better (lower) Brier score, 0 for worse, 0.5 for a tie
+  gameScore(brierScore, opponentBrierScore) {
+    if (brierScore < opponentBrierScore) return 1;
+    if (brierScore > opponentBrierScore) return 0;
+    return 0.5;
+  }
+
+  // Compute new ratings for one event's field. Games are weighted by 1 / (field size - 1)
+  // so a crowded event moves a rating about as much as a single head-to-head.
+  calculateRatings(players) {
+    const weight = 1 / (players.length - 1);
+
+    return players.map(player => {
+      let varianceSum = 0;
+      let improvementSum = 0;
+
+      for (const opponent of players) {
+        if (opponent.userId === player.userId) continue;
+
+        const g = this.g(opponent.deviation);
+        const expected = this.expectedScore(player.rating, opponent.rating, opponent.deviation);
+        const score = this.gameScore(player.brierScore, opponent.brierScore);
+
+        varianceSum += weight * g * g * expected * (1 - expected);
+        improvementSum += weight * g * (score - expected);
+      }
+
+      const precision = 1 / (player.deviation * player.deviation) + this.Q * this.Q * varianceSum;
+      const rating = player.rating + (this.Q / precision) * improvementSum;
+      const deviation = Math.max(Math.sqrt(1 / precision), this.MIN_DEVIATION);
+
+      return {
+        userId: player.userId,
+        previousRating: player.rating,
+        rating,
+        deviation,
+        ratingChange: rating - player.rating
+      };
+    });
+  }
+
+  // Update the ratings of everyone who forecast an event, inside the caller's transaction.
+  // participants: [{ userId, brierScore }]. ratedAt is when the event counts as rated; a user's
+  // last rated event only moves to this one if it is not older than the one they have.
+  async updateEventRatings(client, eventId, participants, ratedAt = new Date()) {
+    const scored = participants.filter(participant => participant.brierScore !== null && participant.brierScore !== undefined);
+
+    if (scored.length < 2) {
+      return [];
+    }
+
+    const userIds = scored.map(participant => participant.userId);
+    const ratingsResult = await client.query(
+      `SELECT user_id, rating, rating_deviation, last_rated_at, last_event_id
+       FROM user_ratings
+       WHERE user_id = ANY($1)
+       FOR UPDATE`,
+      [userIds]
+    );
+
+    const existing = new Map(ratingsResult.rows.map(row => [row.user_id, row]));
+
+    const players = scored.map(participant => {
+      const row = existing.get(participant.userId);
+      return {
+        userId: participant.userId,
+        brierScore: participant.brierScore,
+        rating: row ? parseFloat(row.rating) : this.INITIAL_RATING,
+        deviation: row
+          ? this.inflateDeviation(parseFloat(row.rating_deviation), row.last_rated_at, ratedAt)
+          : this.INITIAL_DEVIATION
+      };
+    });
+
+    const updates = this.calculateRatings(players);
+
+    for (const update of updates) {
+      // Keep what the rating was before this event so a correction can take it back
+      const row = existing.get(update.userId);
+      await client.query(
+        `INSERT INTO rating_changes (event_id, user_id, previous_rating, previous_deviation,
+                                     previous_last_rated_at, previous_last_event_id, rating, rating_deviation, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         ON CONFLICT (event_id, user_id)
+         DO UPDATE SET
+           previous_rating = EXCLUDED.previous_rating,
+           previous_deviation = EXCLUDED.previous_deviation,
+           previous_last_rated_at = EXCLUDED.previous_last_rated_at,
+           previous_last_event_id = EXCLUDED.previous_last_event_id,
+           rating = EXCLUDED.rating,
+           rating_deviation = EXCLUDED.rating_deviation,
+           created_at = EXCLUDED.created_at`,
+        [
+          eventId,
+          update.userId,
+          row ? row.rating : null,
+          row ? row.rating_deviation : null,
+          row ? row.last_rated_at : null,
+          row ? row.last_event_id : null,
+          update.rating,
+          update.deviation,
+          ratedAt
+        ]
+      );
+
+      await client.query(
+        `INSERT INTO user_ratings (user_id, rating, rating_deviation, events_rated, last_rated_at, last_event_id)
+         VALUES ($1, $2, $3, 1, $4, $5)
+         ON CONFLICT (user_id)
+         DO UPDATE SET
+           rating = EXCLUDED.rating,
+           rating_deviation = EXCLUDED.rating_deviation,
+           events_rated = user_ratings.events_rated + 1,
+           last_rated_at = GREATEST(user_ratings.last_rated_at, EXCLUDED.last_rated_at),
+           last_event_id = CASE
+             WHEN user_ratings.last_rated_at IS NULL OR EXCLUDED.last_rated_at >= user_ratings.last_rated_at
+             THEN EXCLUDED.last_event_id
+             ELSE user_ratings.last_event_id
+           END,
+           updated_at = CURRENT_TIMESTAMP`,
+        [update.userId, update.rating, update.deviation, ratedAt, eventId]
+      );
+    }
+
+    return updates;
+  }
+
+  // Take back the rating changes an event made, inside the caller's transaction. A user whose
+  // latest rated event is this one gets their earlier rating back exactly; if later events
+  // were rated on top of it, only this event's rating change is subtracted.
+  async reverseEventRatings(client, eventId) {
+    const changesResult = await client.query(
+      `SELECT c.*, r.last_event_id, r.events_rated
+       FROM rating_changes c
+       JOIN user_ratings r ON r.user_id = c.user_id
+       WHERE c.event_id = $1
+       FOR UPDATE OF c, r`,
+      [eventId]
+    );
+
+    for (const change of changesResult.rows) {
+      if (change.events_rated <= 1 && change.previous_rating === null) {
+        await client.query('DELETE FROM user_ratings WHERE user_id = $1', [change.user_id]);
+      } else if (change.last_event_id === eventId) {
+        await client.query(
+          `UPDATE user_ratings
+           SET rating = $2,
+               rating_deviation = $3,
+               events_rated = GREATEST(events_rated - 1, 0),
+               last_rated_at = $4,
+               last_event_id = $5,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1`,
+          [
+            change.user_id,
+            change.previous_rating === null ? this.INITIAL_RATING : change.previous_rating,
+            change.previous_deviation === null ? this.INITIAL_DEVIATION : change.previous_deviation,
+            change.previous_last_rated_at,
+            change.previous_last_event_id
+          ]
+        );
+      } else {
+        const previousRating = change.previous_rating === null ? this.INITIAL_RATING : parseFloat(change.previous_rating);
+        await client.query(
+          `UPDATE user_ratings
+           SET rating = rating - $2,
+               events_rated = GREATEST(events_rated - 1, 0),
+               updated_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1`,
+          [change.user_id, parseFloat(change.rating) - previousRating]
+        );
+      }
+    }
+
+    await client.query('DELETE FROM rating_changes WHERE event_id = $1', [eventId]);
+
+    return changesResult.rows;
+  }
+
+  // Re-rate an event after its scores were corrected: reverse the earlier changes, then rate
+  // each user's first unvoided prediction on it again. A voided event is only reversed.
+  async rerateEvent(client, eventId) {
+    const reversed = await this.reverseEventRatings(client, eventId);
+
+    // Keep the event's place in rating order: it counts as rated when it first was
+    const ratedAt = reversed.length > 0
+      ? new Date(Math.min(...reversed.map(change => new Date(change.created_at).getTime())))
+      : new Date();
+
+    const participantsResult = await client.query(
+      `SELECT DISTINCT ON (user_id) user_id, brier_score
+       FROM predictions
+       WHERE event_id = $1 AND is_resolved = true AND voided_at IS NULL
+       ORDER BY user_id, created_at ASC`,
+      [eventId]
+    );
+
+    return this.updateEventRatings(
+      client,
+      eventId,
+      participantsResult.rows.map(row => ({
+        userId: row.user_id,
+        brierScore: row.brier_score === null ? null : parseFloat(row.brier_score)
+      })),
+      ratedAt
+    );
+  }
+}
+
+// Create singleton instance
+const ratingSystem = new RatingSystem();
+
+module.exports = ratingSystem;
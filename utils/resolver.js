@@ -0,0 +1,239 @@
+const pool = require('../database/config');
+const seriesStore = require('./seriesStore');
+const scoringSystem = require('./scoring');
+
+// Automatic market event resolution from published FRED observations, read from the
+// local series store so events resolve against the same data the dashboard shows
+class FREDResolver {
+  constructor(store = seriesStore) {
+    this.store = store;
+    this.SERIES_BY_EVENT_TYPE = {
+      'cpi': 'CPIAUCSL',
+      'unemployment': 'UNRATE',
+      'fed_rate': 'FEDFUNDS',
+      'gdp': 'GDP',
+      'payrolls': 'PAYEMS',
+      'housing': 'HOUST',
+      'retail_sales': 'RSAFS',
+      'ppi': 'PPIACO'
+    };
+    // Which vintage of the observation decides the event: the value first published,
+    // the value N days after that, or the latest revision
+    this.RESOLUTION_RULES = ['first_release', 'release_after_days', 'latest'];
+    this.DEFAULT_RESOLUTION_RULE = 'first_release';
+    // Outcomes buildResolution can produce
+    this.FRED_OUTCOMES = ['higher', 'lower', 'same'];
+    // Units an event type's default series resolves in, matching how it is forecast:
+    // year-over-year % for price indexes, annualized quarterly % for GDP, monthly % for retail sales,
+    // monthly change for payrolls
+    this.DEFAULT_UNITS = {
+      'cpi': 'pc1',
+      'ppi': 'pc1',
+      'gdp': 'pca',
+      'retail_sales': 'pch',
+      'payrolls': 'chg'
+    };
+  }
+
+  // Events choose their rule through metadata.resolution_rule and metadata.resolution_days
+  getResolutionRule(event) {
+    const metadata = event.metadata || {};
+    const rule = this.RESOLUTION_RULES.includes(metadata.resolution_rule)
+      ? metadata.resolution_rule
+      : this.DEFAULT_RESOLUTION_RULE;
+
+    return {
+      rule,
+      days: rule === 'release_after_days' ? parseInt(metadata.resolution_days) || 0 : null
+    };
+  }
+
+  // Events can override the series through metadata.series_id
+  getSeriesId(event) {
+    const metadata = event.metadata || {};
+    return metadata.series_id || this.SERIES_BY_EVENT_TYPE[event.event_type] || null;
+  }
+
+  // Outcomes an event can resolve to: metadata.outcomes, else higher/lower/same for events
+  // resolved from FRED. Null when the event does not restrict them.
+  getOutcomes(event) {
+    const metadata = event.metadata || {};
+    if (Array.isArray(metadata.outcomes) && metadata.outcomes.length > 0) {
+      return metadata.outcomes.map(outcome => String(outcome).toLowerCase());
+    }
+
+    return this.getSeriesId(event) ? this.FRED_OUTCOMES : null;
+  }
+
+  // Events choose units through metadata.units; the type's default only applies to its default series
+  getUnits(event) {
+    const metadata = event.metadata || {};
+    if (this.store.UNITS.includes(metadata.units)) {
+      return metadata.units;
+    }
+
+    const isDefaultSeries = this.getSeriesId(event) === this.SERIES_BY_EVENT_TYPE[event.event_type];
+    return (isDefaultSeries && this.DEFAULT_UNITS[event.event_type]) || 'lin';
+  }
+
+  // Fetch the observation an event forecasts as of the vintage its rule picks, or null
+  // if it is not published yet or the rule's date has not come
+  async fetchRelease(client, event) {
+    const metadata = event.metadata || {};
+    const seriesId = this.getSeriesId(event);
+    const observationDate = metadata.observation_date;
+
+    if (!seriesId || !observationDate) {
+      return null;
+    }
+
+    const vintages = await this.store.getVintages(client, seriesId, observationDate);
+    if (vintages.length === 0) {
+      return null;
+    }
+
+    const { rule, days } = this.getResolutionRule(event);
+    const units = this.getUnits(event);
+    const firstReleaseDate = vintages[0].realtimeStart;
+    let vintageDate = null;
+
+    if (rule === 'first_release') {
+      vintageDate = firstReleaseDate;
+    } else if (rule === 'release_after_days') {
+      vintageDate = this.store.addDays(firstReleaseDate, days);
+      if (vintageDate > this.store.today()) {
+        return null;
+      }
+    }
+
+    // The previous observation is read from the same vintage, as it was printed alongside
+    const { observations } = await this.store.getObservations(client, seriesId, {
+      end: observationDate,
+      asOf: vintageDate,
+      units,
+      sortOrder: 'desc',
+      limit: 2
+    });
+
+    if (observations.length === 0 || observations[0].date !== observationDate) {
+      return null;
+    }
+
+    return {
+      seriesId,
+      observationDate,
+      actualValue: observations[0].value,
+      previousValue: observations.length > 1 ? observations[1].value : null,
+      units,
+      resolutionRule: rule,
+      resolutionDays: days,
+      firstReleaseDate,
+      vintageDate: vintageDate || this.store.today()
+    };
+  }
+
+  // Turn a released observation into the outcome and resolutionData used by ScoringSystem
+  buildResolution(event, release) {
+    const metadata = event.metadata || {};
+    const threshold = metadata.threshold || 0;
+
+    const resolutionData = {
+      seriesId: release.seriesId,
+      observationDate: release.observationDate,
+      actualValue: release.actualValue,
+      previousValue: release.previousValue,
+      units: release.units,
+      resolutionRule: release.resolutionRule,
+      firstReleaseDate: release.firstReleaseDate,
+      vintageDate: release.vintageDate
+    };
+
+    if (release.resolutionDays !== null) {
+      resolutionData.resolutionDays = release.resolutionDays;
+    }
+
+    if (event.event_type === 'fed_rate') {
+      resolutionData.actualRate = release.actualValue;
+    }
+
+    let actualOutcome = 'same';
+    if (release.previousValue !== null) {
+      const change = release.actualValue - release.previousValue;
+      if (change > threshold) {
+        actualOutcome = 'higher';
+      } else if (change < -threshold) {
+        actualOutcome = 'lower';
+      }
+    }
+
+    return { actualOutcome, resolutionData };
+  }
+
+  // Resolve every closed event whose observation has been published
+  async resolveDueEvents() {
+    const client = await pool.connect();
+    let events;
+
+    try {
+      const result = await client.query(
+        `SELECT * FROM market_events
+         WHERE status IN ('open', 'closed')
+         AND closes_at < NOW()
+         AND (event_type = ANY($1) OR metadata ? 'series_id')
+         ORDER BY closes_at ASC`,
+        [Object.keys(this.SERIES_BY_EVENT_TYPE)]
+      );
+      events = result.rows;
+    } finally {
+      client.release();
+    }
+
+    const results = [];
+    if (events.length === 0) {
+      return results;
+    }
+
+    // Pull new releases once per series; a failed sync falls back to the stored data
+    const seriesIds = [...new Set(events.map(event => this.getSeriesId(event)).filter(Boolean))];
+    await this.store.syncAll(seriesIds);
+
+    const readClient = await pool.connect();
+
+    try {
+      for (const event of events) {
+        try {
+          const release = await this.fetchRelease(readClient, event);
+          if (!release) continue;
+
+          const { actualOutcome, resolutionData } = this.buildResolution(event, release);
+          results.push(await scoringSystem.resolveEvent(event.id, actualOutcome, resolutionData));
+        } catch (error) {
+          console.error(`Failed to auto-resolve market event ${event.id}:`, error.message);
+        }
+      }
+    } finally {
+      readClient.release();
+    }
+
+    return results;
+  }
+}
+
+// Create singleton instance
+const fredResolver = new FREDResolver();
+
+// Run a single resolution pass from the command line
+if (require.main === module) {
+  fredResolver.resolveDueEvents()
+    .then((results) => {
+      console.log(`✅ Resolved ${results.length} market events from FRED`);
+      return pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('FRED resolution failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = fredResolver;
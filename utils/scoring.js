@@ -1,60 +1,208 @@
 const pool = require('../database/config');
 const cacheManager = require('./cache');
+const ratingSystem = require('./ratings');
+const achievementEngine = require('./achievements');
+const streakTracker = require('./streaks');
+const scoringRules = require('./scoringRules');
 
 class ScoringSystem {
   constructor() {
-    this.BASE_POINTS = 100;
-    this.CONFIDENCE_MULTIPLIER = 0.01;
-    this.STREAK_BONUS = 10;
-    this.DIFFICULTY_MULTIPLIERS = {
-      'cpi': 1.5,
-      'unemployment': 1.3,
-      'fed_rate': 2.0,
-      'gdp': 1.8,
-      'payrolls': 1.4,
-      'housing': 1.2,
-      'retail_sales': 1.1,
-      'ppi': 1.3,
+    this.wsManager = null;
+    // Points, bonuses and difficulty multipliers are versioned in scoring_rules (see utils/scoringRules.js)
+    this.DEFAULT_RULES = scoringRules.DEFAULT_RULES;
+    this.MIN_LOG_PROBABILITY = 0.01; // Caps the log score penalty for 0%/100% calls
+    // Absolute error that counts as a near-exact numeric forecast, in each series' units
+    this.NUMERIC_TOLERANCES = {
+      'cpi': 0.1,          // percentage points
+      'unemployment': 0.1, // percentage points
+      'fed_rate': 0.125,   // percentage points
+      'gdp': 0.3,          // percentage points (annualized growth)
+      'payrolls': 25,      // thousands of jobs
+      'housing': 50,       // thousands of units (annual rate)
+      'retail_sales': 0.3, // percent change
+      'ppi': 0.2,          // percent change
       'custom': 1.0
     };
+    // Share of base points by absolute error, in multiples of the tolerance
+    this.NUMERIC_ERROR_TIERS = [
+      { maxErrors: 1, multiplier: 1.0 },
+      { maxErrors: 2, multiplier: 0.6 },
+      { maxErrors: 4, multiplier: 0.25 }
+    ];
+    // Event types that get their own leaderboard category
+    this.EVENT_CATEGORIES = ['cpi', 'unemployment', 'fed_rate', 'gdp', 'payrolls', 'housing', 'retail_sales', 'ppi'];
+    this.COVERAGE_BONUS = 0.5;
+    this.MIN_INTERVAL_ALPHA = 0.01;
   }
 
-  // Calculate base points for a prediction
-  calculateBasePoints(eventType, confidence, isCorrect) {
+  // Calculate base points for a prediction. Under the 'brier' rule a call earns (1 - Brier score)
+  // of what a correct 100% call earns, so reporting your true confidence maximizes expected points.
+  calculateBasePoints(eventType, confidence, isCorrect, rules = this.DEFAULT_RULES) {
+    const difficultyMultiplier = rules.difficultyMultipliers[eventType] || 1.0;
+
+    if (rules.basePointsRule === 'brier') {
+      const { brierScore } = this.calculateProperScores(confidence, isCorrect);
+      const maxPoints = rules.basePoints * difficultyMultiplier * (1 + 100 * rules.confidenceMultiplier);
+      return Math.round(maxPoints * (1 - brierScore));
+    }
+
     if (!isCorrect) return 0;
 
-    const difficultyMultiplier = this.DIFFICULTY_MULTIPLIERS[eventType] || 1.0;
-    const confidenceBonus = confidence * this.CONFIDENCE_MULTIPLIER;
+    const confidenceBonus = confidence * rules.confidenceMultiplier;
+    
+    return Math.round(rules.basePoints * difficultyMultiplier * (1 + confidenceBonus));
+  }
+
+  // Calculate points for a numeric forecast: closeness tier plus a bonus for a sharp interval that covered the actual value
+  calculateNumericPoints(eventType, assessment, rules = this.DEFAULT_RULES) {
+    const difficultyMultiplier = rules.difficultyMultipliers[eventType] || 1.0;
+    const tolerance = this.NUMERIC_TOLERANCES[eventType] || 1.0;
+    const errorMultiple = assessment.absoluteError / tolerance;
+    
+    const tier = this.NUMERIC_ERROR_TIERS.find(t => errorMultiple <= t.maxErrors);
+    let points = tier ? rules.basePoints * difficultyMultiplier * tier.multiplier : 0;
+    
+    if (assessment.covered) {
+      const halfWidth = Math.max(assessment.halfWidth, Number.EPSILON);
+      const sharpness = Math.min(1, tolerance / halfWidth);
+      points += rules.basePoints * difficultyMultiplier * this.COVERAGE_BONUS * sharpness;
+    }
+    
+    return Math.round(points);
+  }
+
+  // Calculate points for a distribution forecast: skill over a uniform forecast on the ranked probability score
+  calculateDistributionPoints(eventType, assessment, rules = this.DEFAULT_RULES) {
+    const difficultyMultiplier = rules.difficultyMultipliers[eventType] || 1.0;
+    const skill = assessment.uniformRps > 0 ? 1 - assessment.rps / assessment.uniformRps : 0;
+    
+    return Math.round(rules.basePoints * difficultyMultiplier * 2 * Math.max(0, skill));
+  }
+
+  // Ranked probability score over ordered buckets, normalized to 0 (perfect) - 1 (worst)
+  calculateRankedProbabilityScore(probabilities, outcomeIndex) {
+    let cumulativeForecast = 0;
+    let score = 0;
+    
+    for (let k = 0; k < probabilities.length - 1; k++) {
+      cumulativeForecast += probabilities[k];
+      const cumulativeObserved = k >= outcomeIndex ? 1 : 0;
+      score += Math.pow(cumulativeForecast - cumulativeObserved, 2);
+    }
+    
+    return score / (probabilities.length - 1);
+  }
+
+  // CRPS for numeric buckets. Probability is spread uniformly within each bounded bucket;
+  // open-ended end buckets put their mass on their finite edge. Expressed in the series' units; lower is better.
+  calculateBucketCRPS(buckets, actualValue) {
+    const last = buckets.length - 1;
+    const start = buckets[0].lower !== null ? buckets[0].lower : buckets[0].upper;
+    const end = buckets[last].upper !== null ? buckets[last].upper : buckets[last].lower;
+    
+    // Integral of (F(x) - c)^2 over [x0, x1] where F is linear from f0 to f1
+    const squaredArea = (x0, x1, f0, f1, c) => {
+      const g0 = f0 - c;
+      const g1 = f1 - c;
+      return (x1 - x0) * (g0 * g0 + g0 * g1 + g1 * g1) / 3;
+    };
+    
+    // Forecast CDF is 0 below the first edge and 1 above the last
+    let crps = Math.max(0, start - actualValue) + Math.max(0, actualValue - end);
+    let cumulative = 0;
+    
+    buckets.forEach((bucket) => {
+      const probability = bucket.probability / 100;
+      
+      if (bucket.lower !== null && bucket.upper !== null) {
+        const { lower, upper } = bucket;
+        const valueAt = (x) => cumulative + probability * (x - lower) / (upper - lower);
+        
+        // Observed CDF is 0 below the actual value and 1 from it onwards
+        const split = Math.min(Math.max(actualValue, lower), upper);
+        crps += squaredArea(lower, split, cumulative, valueAt(split), 0);
+        crps += squaredArea(split, upper, valueAt(split), cumulative + probability, 1);
+      }
+      
+      cumulative += probability;
+    });
     
-    return Math.round(this.BASE_POINTS * difficultyMultiplier * (1 + confidenceBonus));
+    return crps;
   }
 
-  // Calculate streak bonus
-  calculateStreakBonus(currentStreak) {
-    if (currentStreak < 2) return 0;
+  // Interval score (Gneiting & Raftery): width plus a penalty for missing, scaled by 2 / alpha. Lower is better.
+  calculateIntervalScore(lower, upper, actualValue, alpha) {
+    let score = upper - lower;
+    
+    if (actualValue < lower) {
+      score += (2 / alpha) * (lower - actualValue);
+    } else if (actualValue > upper) {
+      score += (2 / alpha) * (actualValue - upper);
+    }
+    
+    return score;
+  }
+
+  // Calculate streak bonus from the overall and event-type streaks a correct prediction extended.
+  // Expired and voided predictions keep the streak but never earn a bonus.
+  calculateStreakBonus(overallStreak, categoryStreak = 0, rules = this.DEFAULT_RULES) {
+    let bonus = 0;
     
     // Exponential streak bonus with diminishing returns
-    return Math.round(this.STREAK_BONUS * Math.log2(currentStreak));
+    if (overallStreak >= 2) {
+      bonus += rules.streakBonus * Math.log2(overallStreak);
+    }
+    
+    if (categoryStreak >= 2) {
+      bonus += rules.categoryStreakBonus * Math.log2(categoryStreak);
+    }
+    
+    return Math.round(bonus);
+  }
+
+  // Proper scoring rules for the probability placed on the predicted outcome.
+  // Brier score: 0 is perfect, 1 is worst. Log score: 0 is perfect, more negative is worse.
+  calculateProperScores(confidence, isCorrect) {
+    const probability = confidence / 100;
+    const observed = isCorrect ? 1 : 0;
+    const brierScore = Math.pow(probability - observed, 2);
+    
+    const probabilityOfActual = isCorrect ? probability : 1 - probability;
+    const clamped = Math.min(Math.max(probabilityOfActual, this.MIN_LOG_PROBABILITY), 1);
+    const logScore = Math.log(clamped);
+    
+    return {
+      brierScore: parseFloat(brierScore.toFixed(6)),
+      logScore: parseFloat(logScore.toFixed(6))
+    };
   }
 
   // Calculate time bonus (bonus for early predictions)
-  calculateTimeBonus(predictionTime, eventTime, basePoints) {
+  calculateTimeBonus(predictionTime, eventTime, basePoints, rules = this.DEFAULT_RULES) {
     const timeDifference = eventTime - predictionTime;
     const daysDifference = timeDifference / (1000 * 60 * 60 * 24);
     
-    if (daysDifference >= 7) {
-      return Math.round(basePoints * 0.2); // 20% bonus for week+ early
-    } else if (daysDifference >= 3) {
-      return Math.round(basePoints * 0.1); // 10% bonus for 3+ days early
-    } else if (daysDifference >= 1) {
-      return Math.round(basePoints * 0.05); // 5% bonus for 1+ day early
-    }
-    
-    return 0;
+    // Tiers are ordered from the earliest (largest bonus) down
+    const tier = rules.timeBonusTiers.find(t => daysDifference >= t.minDays);
+    return tier ? Math.round(basePoints * tier.bonus) : 0;
+  }
+
+  // Errors carry the HTTP status routes should answer with
+  createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Attach the WebSocket server so scoring can push leaderboard movement
+  setWebSocketManager(wsManager) {
+    this.wsManager = wsManager;
   }
 
   // Main scoring function
-  async scorePrediction(predictionId, actualOutcome, resolutionData = {}) {
+  // Pass { deferRanks: true } to skip rank recalculation and cache invalidation;
+  // the caller must then run recalculateDirtyRanks for the returned categories.
+  async scorePrediction(predictionId, actualOutcome, resolutionData = {}, options = {}) {
     const client = await pool.connect();
     
     try {
@@ -62,10 +210,7 @@ class ScoringSystem {
       
       // Get prediction details
       const predictionResult = await client.query(
-        `SELECT p.*, u.win_streak, u.total_points 
-         FROM predictions p 
-         JOIN users u ON p.user_id = u.id 
-         WHERE p.id = $1`,
+        'SELECT * FROM predictions WHERE id = $1 FOR UPDATE',
         [predictionId]
       );
       
@@ -74,87 +219,809 @@ class ScoringSystem {
       }
       
       const prediction = predictionResult.rows[0];
-      const isCorrect = this.evaluatePrediction(prediction, actualOutcome, resolutionData);
+      const result = await this.applyScore(client, prediction, actualOutcome, resolutionData);
+      const categories = this.getLeaderboardCategories(prediction.event_type);
       
-      // Calculate points
-      const basePoints = this.calculateBasePoints(
-        prediction.event_type, 
-        prediction.confidence, 
-        isCorrect
-      );
+      if (!options.deferRanks) {
+        for (const category of categories) {
+          await this.recalculateRanks(client, category);
+        }
+      }
       
-      const timeBonus = this.calculateTimeBonus(
-        new Date(prediction.created_at),
-        new Date(prediction.expires_at),
-        basePoints
-      );
+      await client.query('COMMIT');
       
-      let totalPoints = basePoints + timeBonus;
-      let newStreak = prediction.win_streak;
+      // Invalidate relevant caches
+      await cacheManager.invalidateUserSession(prediction.user_id);
+      if (!options.deferRanks) {
+        await this.invalidateLeaderboardCaches();
+        await this.broadcastLeaderboardChanges(categories, prediction.user_id);
+      }
       
-      if (isCorrect) {
-        newStreak += 1;
-        const streakBonus = this.calculateStreakBonus(newStreak);
-        totalPoints += streakBonus;
-      } else {
-        newStreak = 0;
+      const achievements = await this.evaluateAchievements(prediction, result);
+      
+      return { ...result, categories, achievements };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Scoring error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Award any newly earned achievements and notify the user. Runs after the scoring
+  // transaction commits; failures are logged and never undo the score.
+  async evaluateAchievements(prediction, result) {
+    try {
+      const awarded = await achievementEngine.evaluate({
+        userId: prediction.user_id,
+        prediction,
+        result,
+        scoring: this
+      });
+      
+      if (awarded.length > 0) {
+        await cacheManager.invalidateUserSession(prediction.user_id);
+        
+        if (this.wsManager) {
+          awarded.forEach(achievement => this.wsManager.sendNotificationToUser(prediction.user_id, {
+            type: 'achievement',
+            title: `Achievement unlocked: ${achievement.name}`,
+            message: achievement.description,
+            achievement
+          }));
+        }
       }
       
-      // Update prediction with results
+      return awarded;
+    } catch (error) {
+      console.error('Achievement evaluation error:', error);
+      return [];
+    }
+  }
+
+  // Score a single prediction inside an open transaction
+  async applyScore(client, prediction, actualOutcome, resolutionData = {}) {
+    // Lock the user row so totals stay consistent across concurrent resolutions
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [prediction.user_id]);
+    
+    // Expired and voided predictions have nothing to score against
+    if (streakTracker.SKIPPED_OUTCOMES.includes(String(actualOutcome).toLowerCase())) {
+      return this.applySkippedOutcome(client, prediction, actualOutcome);
+    }
+    
+    const rules = await scoringRules.resolveRules(client, prediction, prediction.created_at);
+    let assessment = this.assessPrediction(prediction, actualOutcome, resolutionData, rules);
+    
+    // Credit each revision for the time it stood before the prediction locked
+    const revisionsResult = await client.query(
+      `SELECT prediction_value, confidence, predicted_outcome, created_at 
+       FROM prediction_revisions 
+       WHERE prediction_id = $1 
+       ORDER BY created_at ASC`,
+      [prediction.id]
+    );
+    
+    const revisionCount = Math.max(revisionsResult.rows.length, 1);
+    if (revisionsResult.rows.length > 1) {
+      assessment = this.calculateTimeWeightedAssessment(
+        prediction, revisionsResult.rows, assessment, actualOutcome, resolutionData, rules
+      );
+    }
+    
+    const { isCorrect, basePoints, brierScore, logScore } = assessment;
+    
+    const timeBonus = this.calculateTimeBonus(
+      new Date(prediction.created_at),
+      new Date(prediction.locks_at || prediction.expires_at),
+      basePoints,
+      rules
+    );
+    
+    const streakResult = streakTracker.classifyResult(actualOutcome, isCorrect);
+    const streaks = await streakTracker.applyResult(
+      client,
+      prediction.user_id,
+      this.getLeaderboardCategories(prediction.event_type),
+      streakResult,
+      prediction.id
+    );
+    const newStreak = streaks.overall.current;
+    const categoryStreak = streaks[prediction.event_type] ? streaks[prediction.event_type].current : 0;
+    
+    const streakBonus = streakResult === 'win' ? this.calculateStreakBonus(newStreak, categoryStreak, rules) : 0;
+    const totalPoints = basePoints + timeBonus + streakBonus;
+    
+    // Update prediction with results
+    await client.query(
+      `UPDATE predictions 
+       SET actual_outcome = $1, 
+           points_awarded = $2, 
+           is_correct = $3,
+           brier_score = $4,
+           log_score = $5,
+           absolute_error = $6,
+           interval_score = $7,
+           rps_score = $8,
+           crps_score = $9,
+           scoring_rule_version = $10,
+           is_resolved = true, 
+           resolution_date = CURRENT_TIMESTAMP 
+       WHERE id = $11`,
+      [
+        actualOutcome,
+        totalPoints,
+        isCorrect,
+        brierScore,
+        logScore,
+        assessment.absoluteError,
+        assessment.intervalScore,
+        assessment.rps,
+        assessment.crps,
+        rules.version,
+        prediction.id
+      ]
+    );
+    
+    // Update user stats
+    const updatedUser = await client.query(
+      `UPDATE users 
+       SET total_points = total_points + $1,
+           win_streak = $2,
+           correct_predictions = correct_predictions + $3
+       WHERE id = $4
+       RETURNING total_points`,
+      [totalPoints, newStreak, isCorrect ? 1 : 0, prediction.user_id]
+    );
+    
+    // Update leaderboard
+    await this.updateLeaderboard(client, prediction.user_id, totalPoints, prediction.event_type);
+    
+    return {
+      predictionId: prediction.id,
+      userId: prediction.user_id,
+      isCorrect,
+      pointsAwarded: totalPoints,
+      newTotalPoints: updatedUser.rows[0].total_points,
+      breakdown: {
+        basePoints,
+        timeBonus,
+        streakBonus,
+        newStreak,
+        categoryStreak,
+        streakResult,
+        revisions: revisionCount,
+        ruleVersion: rules.version
+      },
+      scores: {
+        brierScore,
+        logScore,
+        absoluteError: assessment.absoluteError,
+        intervalScore: assessment.intervalScore,
+        rps: assessment.rps,
+        crps: assessment.crps
+      }
+    };
+  }
+
+  // Settle an expired or voided prediction inside an open transaction: 0 points,
+  // no correctness or proper scores, and streaks left as they were
+  async applySkippedOutcome(client, prediction, actualOutcome) {
+    if (String(actualOutcome).toLowerCase() === 'void') {
+      await this.voidScore(client, prediction);
+    } else {
       await client.query(
         `UPDATE predictions 
-         SET actual_outcome = $1, 
-             points_awarded = $2, 
-             is_resolved = true, 
+         SET actual_outcome = $1,
+             points_awarded = 0,
+             is_correct = NULL,
+             brier_score = NULL,
+             log_score = NULL,
+             absolute_error = NULL,
+             interval_score = NULL,
+             rps_score = NULL,
+             crps_score = NULL,
+             is_resolved = true,
              resolution_date = CURRENT_TIMESTAMP 
-         WHERE id = $3`,
-        [actualOutcome, totalPoints, predictionId]
+         WHERE id = $2`,
+        [actualOutcome, prediction.id]
       );
       
-      // Update user stats
-      await client.query(
-        `UPDATE users 
-         SET total_points = total_points + $1,
-             win_streak = $2,
-             correct_predictions = correct_predictions + $3
-         WHERE id = $4`,
-        [totalPoints, newStreak, isCorrect ? 1 : 0, prediction.user_id]
+      await this.updateLeaderboard(client, prediction.user_id, 0, prediction.event_type);
+    }
+    
+    const streaks = await streakTracker.applyResult(
+      client,
+      prediction.user_id,
+      this.getLeaderboardCategories(prediction.event_type),
+      'skip',
+      prediction.id
+    );
+    const userResult = await client.query('SELECT total_points FROM users WHERE id = $1', [prediction.user_id]);
+    
+    return {
+      predictionId: prediction.id,
+      userId: prediction.user_id,
+      isCorrect: null,
+      pointsAwarded: 0,
+      newTotalPoints: userResult.rows[0].total_points,
+      breakdown: {
+        basePoints: 0,
+        timeBonus: 0,
+        streakBonus: 0,
+        newStreak: streaks.overall.current,
+        categoryStreak: streaks[prediction.event_type] ? streaks[prediction.event_type].current : 0,
+        streakResult: 'skip',
+        revisions: 0,
+        ruleVersion: null
+      },
+      scores: {
+        brierScore: null,
+        logScore: null,
+        absoluteError: null,
+        intervalScore: null,
+        rps: null,
+        crps: null
+      }
+    };
+  }
+
+  // Evaluate a prediction and calculate its base points and proper scores
+  assessPrediction(prediction, actualOutcome, resolutionData = {}, rules = this.DEFAULT_RULES) {
+    if (prediction.predicted_outcome === 'numeric') {
+      const numeric = this.evaluateNumericForecast(prediction, resolutionData);
+      return {
+        isCorrect: numeric.isCorrect,
+        basePoints: this.calculateNumericPoints(prediction.event_type, numeric, rules),
+        ...this.calculateProperScores(prediction.confidence, numeric.isCorrect),
+        absoluteError: numeric.absoluteError,
+        intervalScore: numeric.intervalScore,
+        rps: null,
+        crps: null
+      };
+    }
+    
+    if (prediction.predicted_outcome === 'distribution') {
+      const distribution = this.evaluateDistributionForecast(prediction, actualOutcome, resolutionData);
+      return {
+        isCorrect: distribution.isCorrect,
+        basePoints: this.calculateDistributionPoints(prediction.event_type, distribution, rules),
+        brierScore: distribution.brierScore,
+        logScore: distribution.logScore,
+        absoluteError: null,
+        intervalScore: null,
+        rps: distribution.rps,
+        crps: distribution.crps
+      };
+    }
+    
+    const isCorrect = this.evaluatePrediction(prediction, actualOutcome, resolutionData);
+    return {
+      isCorrect,
+      basePoints: this.calculateBasePoints(prediction.event_type, prediction.confidence, isCorrect, rules),
+      ...this.calculateProperScores(prediction.confidence, isCorrect),
+      absoluteError: null,
+      intervalScore: null,
+      rps: null,
+      crps: null
+    };
+  }
+
+  // Average base points and proper scores over revisions, weighted by how long each stood before the lock.
+  // Correctness and the other metrics still come from the final revision.
+  calculateTimeWeightedAssessment(prediction, revisions, finalAssessment, actualOutcome, resolutionData, rules = this.DEFAULT_RULES) {
+    const lockTime = Math.min(new Date(prediction.locks_at || prediction.expires_at).getTime(), Date.now());
+    let totalWeight = 0;
+    let basePoints = 0;
+    let brierScore = 0;
+    let logScore = 0;
+    
+    revisions.forEach((revision, i) => {
+      const start = new Date(revision.created_at).getTime();
+      const end = i + 1 < revisions.length ? new Date(revisions[i + 1].created_at).getTime() : lockTime;
+      const weight = Math.max(0, end - start);
+      if (weight === 0) return;
+      
+      const revisionAssessment = this.assessPrediction({
+        ...prediction,
+        prediction_value: revision.prediction_value,
+        confidence: revision.confidence,
+        predicted_outcome: revision.predicted_outcome
+      }, actualOutcome, resolutionData, rules);
+      
+      totalWeight += weight;
+      basePoints += weight * revisionAssessment.basePoints;
+      brierScore += weight * revisionAssessment.brierScore;
+      logScore += weight * revisionAssessment.logScore;
+    });
+    
+    if (totalWeight === 0) {
+      return finalAssessment;
+    }
+    
+    return {
+      ...finalAssessment,
+      basePoints: Math.round(basePoints / totalWeight),
+      brierScore: parseFloat((brierScore / totalWeight).toFixed(6)),
+      logScore: parseFloat((logScore / totalWeight).toFixed(6))
+    };
+  }
+
+  // Resolve a market event and score every linked prediction in one transaction
+  async resolveEvent(eventId, actualOutcome, resolutionData = {}) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const eventResult = await client.query(
+        'SELECT * FROM market_events WHERE id = $1 FOR UPDATE',
+        [eventId]
+      );
+      
+      if (eventResult.rows.length === 0) {
+        throw this.createError('Market event not found', 404);
+      }
+      
+      // Lost a race with another resolution
+      if (['resolved', 'void'].includes(eventResult.rows[0].status)) {
+        throw this.createError('Market event already resolved', 409);
+      }
+      
+      const updatedEvent = await client.query(
+        `UPDATE market_events 
+         SET status = 'resolved',
+             outcome = $1,
+             resolves_at = COALESCE(resolves_at, CURRENT_TIMESTAMP),
+             metadata = COALESCE(metadata, '{}'::jsonb) || $2::jsonb
+         WHERE id = $3
+         RETURNING *`,
+        [actualOutcome, JSON.stringify({ resolution: resolutionData }), eventId]
+      );
+      
+      const predictionsResult = await client.query(
+        `SELECT p.*, u.username 
+         FROM predictions p 
+         JOIN users u ON p.user_id = u.id 
+         WHERE p.event_id = $1 AND p.is_resolved = false 
+         ORDER BY p.created_at ASC 
+         FOR UPDATE OF p`,
+        [eventId]
+      );
+      
+      // Group results per user for notifications
+      const summaries = new Map();
+      
+      const scored = [];
+      
+      for (const prediction of predictionsResult.rows) {
+        const result = await this.applyScore(client, prediction, actualOutcome, resolutionData);
+        scored.push({ prediction, result });
+        
+        if (!summaries.has(prediction.user_id)) {
+          summaries.set(prediction.user_id, {
+            userId: prediction.user_id,
+            username: prediction.username,
+            predictions: [],
+            pointsAwarded: 0,
+            correctPredictions: 0,
+            newTotalPoints: 0,
+            newStreak: 0,
+            rating: null,
+            ratingChange: null,
+            achievements: []
+          });
+        }
+        
+        const summary = summaries.get(prediction.user_id);
+        summary.predictions.push(result);
+        summary.pointsAwarded += result.pointsAwarded;
+        summary.correctPredictions += result.isCorrect ? 1 : 0;
+        summary.newTotalPoints = result.newTotalPoints;
+        summary.newStreak = result.breakdown.newStreak;
+      }
+      
+      // Rate everyone who forecast the event against the rest of the field
+      const ratingChanges = await ratingSystem.updateEventRatings(
+        client,
+        eventId,
+        Array.from(summaries.values()).map(summary => ({
+          userId: summary.userId,
+          brierScore: summary.predictions[0].scores.brierScore
+        }))
       );
       
-      // Update leaderboard
-      await this.updateLeaderboard(client, prediction.user_id, totalPoints);
+      for (const change of ratingChanges) {
+        const summary = summaries.get(change.userId);
+        summary.rating = Math.round(change.rating);
+        summary.ratingChange = Math.round(change.ratingChange);
+      }
+      
+      // One rank pass per category for the whole event, not one per prediction
+      const categories = this.getLeaderboardCategories(updatedEvent.rows[0].event_type);
+      for (const category of categories) {
+        await this.recalculateRanks(client, category);
+      }
       
       await client.query('COMMIT');
       
       // Invalidate relevant caches
+      for (const userId of summaries.keys()) {
+        await cacheManager.invalidateUserSession(userId);
+      }
+      await this.invalidateLeaderboardCaches();
+      await this.broadcastLeaderboardChanges(categories);
+      
+      for (const { prediction, result } of scored) {
+        const achievements = await this.evaluateAchievements(prediction, result);
+        summaries.get(prediction.user_id).achievements.push(...achievements);
+      }
+      
+      return {
+        event: updatedEvent.rows[0],
+        totalPredictions: predictionsResult.rows.length,
+        users: Array.from(summaries.values())
+      };
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Event resolution error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Resolution data from the actual_value / previous_value / actual_rate request fields
+  buildResolutionData({ actual_value, previous_value, actual_rate }) {
+    const resolutionData = {};
+    if (actual_value !== undefined) resolutionData.actualValue = parseFloat(actual_value);
+    if (previous_value !== undefined) resolutionData.previousValue = parseFloat(previous_value);
+    if (actual_rate !== undefined) resolutionData.actualRate = parseFloat(actual_rate);
+    return resolutionData;
+  }
+
+  // Result fields of a resolved prediction, as kept in the score audit trail
+  getScoreSnapshot(prediction) {
+    return {
+      actualOutcome: prediction.actual_outcome,
+      pointsAwarded: prediction.points_awarded,
+      isCorrect: prediction.is_correct,
+      voided: Boolean(prediction.voided_at),
+      brierScore: prediction.brier_score,
+      logScore: prediction.log_score,
+      absoluteError: prediction.absolute_error,
+      intervalScore: prediction.interval_score,
+      rps: prediction.rps_score,
+      crps: prediction.crps_score,
+      ruleVersion: prediction.scoring_rule_version,
+      resolvedAt: prediction.resolution_date
+    };
+  }
+
+  // Undo a resolved prediction's points, counters and streaks inside an open transaction,
+  // leaving the prediction unresolved
+  async reverseScore(client, prediction) {
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [prediction.user_id]);
+    
+    const wasCorrect = prediction.is_correct === null ? prediction.points_awarded > 0 : prediction.is_correct;
+    
+    // A voided prediction was taken out of the user's prediction count; put it back
+    await client.query(
+      `UPDATE users 
+       SET total_points = total_points - $1,
+           correct_predictions = correct_predictions - $2,
+           total_predictions = total_predictions + $3
+       WHERE id = $4`,
+      [prediction.points_awarded || 0, wasCorrect ? 1 : 0, prediction.voided_at ? 1 : 0, prediction.user_id]
+    );
+    
+    await client.query(
+      `UPDATE predictions 
+       SET actual_outcome = NULL,
+           points_awarded = 0,
+           is_correct = NULL,
+           brier_score = NULL,
+           log_score = NULL,
+           absolute_error = NULL,
+           interval_score = NULL,
+           rps_score = NULL,
+           crps_score = NULL,
+           scoring_rule_version = NULL,
+           is_resolved = false,
+           resolution_date = NULL,
+           voided_at = NULL
+       WHERE id = $1`,
+      [prediction.id]
+    );
+    
+    // Later streaks may have built on this result, so replay them without it
+    await this.rebuildUserStreaks(client, prediction.user_id);
+  }
+
+  // Replay a user's streaks from their resolved predictions and sync users.win_streak
+  async rebuildUserStreaks(client, userId) {
+    const winStreak = await streakTracker.rebuildStreaks(
+      client,
+      userId,
+      eventType => this.getLeaderboardCategories(eventType)
+    );
+    await client.query('UPDATE users SET win_streak = $1 WHERE id = $2', [winStreak, userId]);
+  }
+
+  // Void an unresolved prediction inside an open transaction: no points, no streak change,
+  // and it no longer counts toward the user's predictions or accuracy
+  async voidScore(client, prediction) {
+    await client.query(
+      `UPDATE predictions 
+       SET actual_outcome = 'void',
+           points_awarded = 0,
+           is_correct = NULL,
+           is_resolved = true,
+           resolution_date = CURRENT_TIMESTAMP,
+           voided_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [prediction.id]
+    );
+    
+    await client.query(
+      'UPDATE users SET total_predictions = GREATEST(total_predictions - 1, 0) WHERE id = $1',
+      [prediction.user_id]
+    );
+    
+    await this.updateLeaderboard(client, prediction.user_id, 0, prediction.event_type);
+  }
+
+  // Reverse a resolved prediction and apply the corrected outcome ('void' to void it),
+  // recording both results in the score audit trail. Runs inside an open transaction.
+  async correctScore(client, prediction, actualOutcome, resolutionData, audit) {
+    const previous = this.getScoreSnapshot(prediction);
+    const action = actualOutcome === 'void' ? 'void' : 'rescore';
+    
+    await this.reverseScore(client, prediction);
+    
+    if (action === 'void') {
+      await this.voidScore(client, prediction);
+    } else {
+      const unresolved = await client.query('SELECT * FROM predictions WHERE id = $1', [prediction.id]);
+      await this.applyScore(client, unresolved.rows[0], actualOutcome, resolutionData);
+      
+      // The corrected result keeps its original place in the user's history, so replay
+      // streaks with it there rather than as the newest result applyScore appended
+      await client.query(
+        'UPDATE predictions SET resolution_date = $1 WHERE id = $2',
+        [prediction.resolution_date, prediction.id]
+      );
+      await this.rebuildUserStreaks(client, prediction.user_id);
+      await this.updateLeaderboard(client, prediction.user_id, 0, prediction.event_type);
+    }
+    
+    const updatedResult = await client.query('SELECT * FROM predictions WHERE id = $1', [prediction.id]);
+    const updated = updatedResult.rows[0];
+    const current = this.getScoreSnapshot(updated);
+    
+    const auditResult = await client.query(
+      `INSERT INTO score_audit (prediction_id, event_id, user_id, action, reason, performed_by,
+                                previous_result, new_result, resolution_data)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        prediction.id,
+        prediction.event_id,
+        prediction.user_id,
+        action,
+        audit.reason || null,
+        audit.performedBy || null,
+        JSON.stringify(previous),
+        JSON.stringify(current),
+        JSON.stringify(resolutionData)
+      ]
+    );
+    
+    return {
+      predictionId: prediction.id,
+      userId: prediction.user_id,
+      action,
+      previous,
+      current,
+      pointsChange: (current.pointsAwarded || 0) - (previous.pointsAwarded || 0),
+      auditId: auditResult.rows[0].id
+    };
+  }
+
+  // Let a user know one of their scores was corrected
+  notifyScoreCorrection(correction) {
+    if (!this.wsManager) {
+      return;
+    }
+    
+    const change = correction.pointsChange >= 0 ? `+${correction.pointsChange}` : `${correction.pointsChange}`;
+    this.wsManager.sendNotificationToUser(correction.userId, {
+      type: 'score_correction',
+      title: correction.action === 'void' ? 'Prediction voided' : 'Prediction re-scored',
+      message: `A data revision changed one of your scores (${change} points)`,
+      correction
+    });
+  }
+
+  // Void or re-score one resolved prediction after a data revision (admin correction)
+  async rescorePrediction(predictionId, actualOutcome, resolutionData = {}, audit = {}) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const predictionResult = await client.query(
+        'SELECT * FROM predictions WHERE id = $1 FOR UPDATE',
+        [predictionId]
+      );
+      
+      if (predictionResult.rows.length === 0) {
+        throw new Error('Prediction not found');
+      }
+      
+      const prediction = predictionResult.rows[0];
+      
+      if (!prediction.is_resolved) {
+        throw new Error('Prediction is not resolved');
+      }
+      
+      const correction = await this.correctScore(client, prediction, actualOutcome, resolutionData, audit);
+      const categories = this.getLeaderboardCategories(prediction.event_type);
+      
+      // The corrected Brier score changes how the event rated this user against the field
+      if (prediction.event_id) {
+        await ratingSystem.rerateEvent(client, prediction.event_id);
+      }
+      
+      for (const category of categories) {
+        await this.recalculateRanks(client, category);
+      }
+      
+      await client.query('COMMIT');
+      
       await cacheManager.invalidateUserSession(prediction.user_id);
       await this.invalidateLeaderboardCaches();
+      await this.broadcastLeaderboardChanges(categories, prediction.user_id);
+      this.notifyScoreCorrection(correction);
+      
+      return correction;
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      console.error('Re-score prediction error:', error);
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Void or re-resolve a resolved market event and correct every prediction scored on it
+  async rescoreEvent(eventId, actualOutcome, resolutionData = {}, audit = {}) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      const eventResult = await client.query(
+        'SELECT * FROM market_events WHERE id = $1 FOR UPDATE',
+        [eventId]
+      );
+      
+      if (eventResult.rows.length === 0) {
+        throw new Error('Market event not found');
+      }
+      
+      const event = eventResult.rows[0];
+      
+      if (!['resolved', 'void'].includes(event.status)) {
+        throw new Error('Market event is not resolved');
+      }
+      
+      // Keep the event's earlier resolutions alongside the audit rows of its predictions
+      const metadata = event.metadata || {};
+      const corrections = [...(metadata.corrections || []), {
+        previousOutcome: event.outcome,
+        previousResolution: metadata.resolution || null,
+        outcome: actualOutcome,
+        reason: audit.reason || null,
+        correctedBy: audit.performedBy || null,
+        correctedAt: new Date().toISOString()
+      }];
+      
+      const updatedEvent = await client.query(
+        `UPDATE market_events 
+         SET status = $1,
+             outcome = $2,
+             metadata = COALESCE(metadata, '{}'::jsonb) || $3::jsonb
+         WHERE id = $4
+         RETURNING *`,
+        [
+          actualOutcome === 'void' ? 'void' : 'resolved',
+          actualOutcome,
+          JSON.stringify({ resolution: resolutionData, corrections }),
+          eventId
+        ]
+      );
+      
+      const predictionsResult = await client.query(
+        `SELECT * FROM predictions 
+         WHERE event_id = $1 AND is_resolved = true 
+         ORDER BY resolution_date ASC, created_at ASC 
+         FOR UPDATE`,
+        [eventId]
+      );
+      
+      const results = [];
+      for (const prediction of predictionsResult.rows) {
+        results.push(await this.correctScore(client, prediction, actualOutcome, resolutionData, audit));
+      }
+      
+      // Undo the ratings from the original resolution and rate the corrected scores instead
+      const ratingChanges = await ratingSystem.rerateEvent(client, eventId);
+      
+      const categories = this.getLeaderboardCategories(event.event_type);
+      for (const category of categories) {
+        await this.recalculateRanks(client, category);
+      }
+      
+      await client.query('COMMIT');
+      
+      for (const userId of new Set(results.map(result => result.userId))) {
+        await cacheManager.invalidateUserSession(userId);
+      }
+      await this.invalidateLeaderboardCaches();
+      await this.broadcastLeaderboardChanges(categories);
+      results.forEach(result => this.notifyScoreCorrection(result));
       
       return {
-        predictionId,
-        isCorrect,
-        pointsAwarded: totalPoints,
-        breakdown: {
-          basePoints,
-          timeBonus,
-          streakBonus: totalPoints - basePoints - timeBonus,
-          newStreak
-        }
+        event: updatedEvent.rows[0],
+        corrections: results,
+        ratingChanges
       };
       
     } catch (error) {
       await client.query('ROLLBACK');
-      console.error('Scoring error:', error);
+      console.error('Re-score event error:', error);
       throw error;
     } finally {
       client.release();
     }
   }
 
+  // Numeric forecasts and numeric-bucket distributions are scored from resolutionData.actualValue
+  requiresActualValue(prediction) {
+    if (prediction.predicted_outcome === 'numeric') {
+      return true;
+    }
+    if (prediction.predicted_outcome !== 'distribution') {
+      return false;
+    }
+    
+    const buckets = this.parsePredictionValue(prediction).buckets || [];
+    return buckets.some(bucket => bucket.lower !== undefined || bucket.upper !== undefined);
+  }
+
+  // Parse a prediction's JSONB value, which may arrive as a string or an object
+  parsePredictionValue(prediction) {
+    return typeof prediction.prediction_value === 'string'
+      ? JSON.parse(prediction.prediction_value)
+      : prediction.prediction_value;
+  }
+
   // Evaluate if prediction was correct
   evaluatePrediction(prediction, actualOutcome, resolutionData) {
     const predictedOutcome = prediction.predicted_outcome;
-    const predictionValue = JSON.parse(prediction.prediction_value);
+    const predictionValue = this.parsePredictionValue(prediction);
+    
+    if (predictedOutcome === 'numeric') {
+      return this.evaluateNumericForecast(prediction, resolutionData).isCorrect;
+    }
+    
+    if (predictedOutcome === 'distribution') {
+      return this.evaluateDistributionForecast(prediction, actualOutcome, resolutionData).isCorrect;
+    }
     
     switch (prediction.event_type) {
       case 'cpi':
@@ -219,6 +1086,98 @@ class ScoringSystem {
     }
   }
 
+  // Evaluate a point or interval forecast against the released value.
+  // Interval forecasts are correct when they cover the actual value; point forecasts when within 2x tolerance.
+  evaluateNumericForecast(prediction, resolutionData) {
+    const predictionValue = this.parsePredictionValue(prediction);
+    const actualValue = resolutionData.actualValue;
+    
+    if (typeof actualValue !== 'number' || !Number.isFinite(actualValue)) {
+      throw new Error('Actual value is required to score numeric forecasts');
+    }
+    
+    const tolerance = this.NUMERIC_TOLERANCES[prediction.event_type] || 1.0;
+    const absoluteError = parseFloat(Math.abs(actualValue - predictionValue.point).toFixed(6));
+    const hasInterval = predictionValue.lower !== undefined && predictionValue.lower !== null;
+    
+    if (!hasInterval) {
+      return {
+        isCorrect: absoluteError <= 2 * tolerance,
+        absoluteError,
+        covered: false,
+        halfWidth: null,
+        intervalScore: null
+      };
+    }
+    
+    const { lower, upper } = predictionValue;
+    const covered = actualValue >= lower && actualValue <= upper;
+    const alpha = Math.max(1 - prediction.confidence / 100, this.MIN_INTERVAL_ALPHA);
+    
+    return {
+      isCorrect: covered,
+      absoluteError,
+      covered,
+      halfWidth: (upper - lower) / 2,
+      intervalScore: parseFloat(this.calculateIntervalScore(lower, upper, actualValue, alpha).toFixed(6))
+    };
+  }
+
+  // Evaluate a bucketed probability distribution. Numeric buckets resolve from the actual value,
+  // categorical buckets from the outcome label. Correct when the outcome is the only modal bucket.
+  // An outcome no bucket names was given probability 0 and scores as badly as possible.
+  evaluateDistributionForecast(prediction, actualOutcome, resolutionData) {
+    const buckets = this.parsePredictionValue(prediction).buckets;
+    const probabilities = buckets.map(bucket => bucket.probability / 100);
+    const isNumeric = buckets.some(bucket => bucket.lower !== undefined || bucket.upper !== undefined);
+    let outcomeIndex;
+    
+    if (isNumeric) {
+      const actualValue = resolutionData.actualValue;
+      if (typeof actualValue !== 'number' || !Number.isFinite(actualValue)) {
+        throw new Error('Actual value is required to score numeric distribution forecasts');
+      }
+      
+      // Values outside bounded end buckets fall into the nearest end bucket
+      outcomeIndex = buckets.findIndex((bucket, i) =>
+        i === buckets.length - 1 || (bucket.upper !== null && actualValue < bucket.upper)
+      );
+    } else {
+      outcomeIndex = buckets.findIndex(bucket => bucket.label.toLowerCase() === String(actualOutcome).toLowerCase());
+    }
+    
+    const matched = outcomeIndex !== -1;
+    const uniform = probabilities.map(() => 1 / probabilities.length);
+    const rps = matched ? this.calculateRankedProbabilityScore(probabilities, outcomeIndex) : 1;
+    const uniformRps = matched ? this.calculateRankedProbabilityScore(uniform, outcomeIndex) : 1;
+    
+    let crps = null;
+    if (isNumeric) {
+      crps = parseFloat(this.calculateBucketCRPS(buckets, resolutionData.actualValue).toFixed(6));
+    }
+    
+    // Multi-category Brier score, halved to stay on the 0-1 scale of binary Brier scores.
+    // An unmatched outcome adds its own (0 - 1)^2 term.
+    const brierScore = (probabilities.reduce(
+      (sum, p, i) => sum + Math.pow(p - (i === outcomeIndex ? 1 : 0), 2), 0
+    ) + (matched ? 0 : 1)) / 2;
+    const outcomeProbability = matched ? probabilities[outcomeIndex] : 0;
+    const logScore = Math.log(Math.max(outcomeProbability, this.MIN_LOG_PROBABILITY));
+    const modalProbability = Math.max(...probabilities);
+    const modalBuckets = probabilities.filter(p => p === modalProbability).length;
+    
+    return {
+      // A tie for most likely bucket does not pick the outcome
+      isCorrect: matched && outcomeProbability === modalProbability && modalBuckets === 1,
+      outcomeIndex,
+      rps: parseFloat(rps.toFixed(6)),
+      uniformRps,
+      crps,
+      brierScore: parseFloat(brierScore.toFixed(6)),
+      logScore: parseFloat(logScore.toFixed(6))
+    };
+  }
+
   // Evaluate Fed rate predictions (specific to FOMC meetings)
   evaluateFedRatePrediction(predictedOutcome, predictionValue, actualOutcome, resolutionData) {
     const predictedRate = predictionValue.rate;
@@ -233,64 +1192,237 @@ class ScoringSystem {
     return predictedOutcome.toLowerCase() === actualOutcome.toLowerCase();
   }
 
-  // Update leaderboard rankings
-  async updateLeaderboard(client, userId, pointsAwarded) {
+  // Leaderboard categories affected by scoring a prediction of this event type
+  getLeaderboardCategories(eventType) {
+    return this.EVENT_CATEGORIES.includes(eventType) ? ['overall', eventType] : ['overall'];
+  }
+
+  // Update leaderboard rankings (overall plus the prediction's event-type category)
+  async updateLeaderboard(client, userId, pointsAwarded, category = null) {
     // Update overall leaderboard
     await client.query(
-      `INSERT INTO leaderboard (user_id, points, rank, category, total_predictions, accuracy_percentage)
+      `INSERT INTO leaderboard (user_id, points, rank, category, win_streak, total_predictions, correct_predictions,
+                                accuracy_percentage, avg_brier_score, avg_log_score, scored_predictions)
        SELECT 
          $1,
          u.total_points,
          0, -- Will be updated in rank calculation
          'overall',
-         u.total_predictions,
-         CASE WHEN u.total_predictions > 0 
-              THEN ROUND((u.correct_predictions::numeric / u.total_predictions) * 100, 2)
-              ELSE 0 END
+         u.win_streak,
+         counts.total_predictions,
+         counts.correct_predictions,
+         CASE WHEN counts.total_predictions > 0 
+              THEN ROUND((counts.correct_predictions::numeric / counts.total_predictions) * 100, 2)
+              ELSE 0 END,
+         skill.avg_brier_score,
+         skill.avg_log_score,
+         skill.scored_predictions
        FROM users u 
+       CROSS JOIN (
+         -- Same predictions the category rows count, so accuracy is over resolved forecasts only
+         SELECT 
+           COUNT(*) as total_predictions,
+           COUNT(*) FILTER (WHERE COALESCE(is_correct, points_awarded > 0)) as correct_predictions
+         FROM predictions 
+         WHERE user_id = $1 AND is_resolved = true AND voided_at IS NULL
+         AND actual_outcome IS DISTINCT FROM 'expired'
+       ) counts
+       CROSS JOIN (
+         SELECT 
+           AVG(brier_score) as avg_brier_score,
+           AVG(log_score) as avg_log_score,
+           COUNT(brier_score) as scored_predictions
+         FROM predictions 
+         WHERE user_id = $1 AND is_resolved = true AND voided_at IS NULL
+         AND actual_outcome IS DISTINCT FROM 'expired'
+       ) skill
        WHERE u.id = $1
        ON CONFLICT (user_id, category) 
        DO UPDATE SET 
          points = EXCLUDED.points,
+         win_streak = EXCLUDED.win_streak,
          total_predictions = EXCLUDED.total_predictions,
+         correct_predictions = EXCLUDED.correct_predictions,
          accuracy_percentage = EXCLUDED.accuracy_percentage,
+         avg_brier_score = EXCLUDED.avg_brier_score,
+         avg_log_score = EXCLUDED.avg_log_score,
+         scored_predictions = EXCLUDED.scored_predictions,
          updated_at = CURRENT_TIMESTAMP`,
       [userId]
     );
     
-    // Recalculate ranks for overall category
-    await this.recalculateRanks(client, 'overall');
+    if (this.EVENT_CATEGORIES.includes(category)) {
+      await this.updateCategoryLeaderboard(client, userId, category);
+    }
+    
+    // Ranks are recalculated once per transaction by the caller (see getLeaderboardCategories)
   }
 
-  // Recalculate leaderboard ranks
-  async recalculateRanks(client, category) {
+  // Rebuild a user's row for one event-type category from their resolved predictions.
+  // Expired and voided predictions are left out of the counts, and the streak comes from
+  // user_streaks, so they do not break it either.
+  async updateCategoryLeaderboard(client, userId, category) {
     await client.query(
-      `UPDATE leaderboard 
-       SET rank = ranked.new_rank
-       FROM (
+      `INSERT INTO leaderboard (user_id, points, rank, category, win_streak, total_predictions, correct_predictions,
+                                accuracy_percentage, avg_brier_score, avg_log_score, scored_predictions)
+       SELECT 
+         $1,
+         COALESCE(SUM(p.points_awarded), 0),
+         0, -- Will be updated in rank calculation
+         $2,
+         COALESCE((SELECT current_streak FROM user_streaks WHERE user_id = $1 AND category = $2), 0),
+         COUNT(*),
+         COUNT(*) FILTER (WHERE COALESCE(p.is_correct, p.points_awarded > 0)),
+         CASE WHEN COUNT(*) > 0 
+              THEN ROUND((COUNT(*) FILTER (WHERE COALESCE(p.is_correct, p.points_awarded > 0))::numeric / COUNT(*)) * 100, 2)
+              ELSE 0 END,
+         AVG(p.brier_score),
+         AVG(p.log_score),
+         COUNT(p.brier_score)
+       FROM predictions p
+       WHERE p.user_id = $1 AND p.event_type = $2 AND p.is_resolved = true AND p.voided_at IS NULL
+       AND p.actual_outcome IS DISTINCT FROM 'expired'
+       ON CONFLICT (user_id, category) 
+       DO UPDATE SET 
+         points = EXCLUDED.points,
+         win_streak = EXCLUDED.win_streak,
+         total_predictions = EXCLUDED.total_predictions,
+         correct_predictions = EXCLUDED.correct_predictions,
+         accuracy_percentage = EXCLUDED.accuracy_percentage,
+         avg_brier_score = EXCLUDED.avg_brier_score,
+         avg_log_score = EXCLUDED.avg_log_score,
+         scored_predictions = EXCLUDED.scored_predictions,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, category]
+    );
+  }
+
+  // Recalculate leaderboard ranks. Every row's previous rank becomes its rank before this
+  // pass, so movement deltas always describe the latest recalculation; rows that neither
+  // moved now nor last time are left unwritten. Today's history snapshot is updated for movers.
+  async recalculateRanks(client, category) {
+    // Serialize rank passes per category so concurrent transactions do not interleave row updates
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`leaderboard_rank:${category}`]);
+    
+    const updated = await client.query(
+      `WITH ranked AS (
          SELECT 
            user_id,
+           rank as previous_rank,
            ROW_NUMBER() OVER (ORDER BY points DESC, updated_at ASC) as new_rank
          FROM leaderboard 
          WHERE category = $1
-       ) ranked
+       )
+       UPDATE leaderboard 
+       SET rank = ranked.new_rank,
+           previous_rank = ranked.previous_rank
+       FROM ranked
        WHERE leaderboard.user_id = ranked.user_id 
-       AND leaderboard.category = $1`,
+       AND leaderboard.category = $1
+       AND (leaderboard.rank IS DISTINCT FROM ranked.new_rank
+            OR leaderboard.previous_rank IS DISTINCT FROM leaderboard.rank)
+       RETURNING leaderboard.user_id, leaderboard.rank, leaderboard.previous_rank, leaderboard.points`,
       [category]
     );
+    
+    const changed = updated.rows.filter(row => row.rank !== row.previous_rank);
+    if (changed.length > 0) {
+      await this.recordRankSnapshots(client, category, changed.map(row => row.user_id));
+    }
+    
+    return changed;
   }
 
-  // Batch resolve multiple predictions
+  // Upsert today's rank history row for the given users (or everyone in the category)
+  async recordRankSnapshots(client, category, userIds = null) {
+    await client.query(
+      `INSERT INTO leaderboard_rank_history (user_id, category, rank, points, snapshot_date)
+       SELECT user_id, category, rank, points, CURRENT_DATE
+       FROM leaderboard
+       WHERE category = $1 AND rank > 0 ${userIds ? 'AND user_id = ANY($2)' : ''}
+       ON CONFLICT (user_id, category, snapshot_date)
+       DO UPDATE SET 
+         rank = EXCLUDED.rank,
+         points = EXCLUDED.points,
+         recorded_at = CURRENT_TIMESTAMP`,
+      userIds ? [category, userIds] : [category]
+    );
+  }
+
+  // Daily snapshot of every category so rank charts have a point per day
+  async snapshotAllRanks() {
+    const client = await pool.connect();
+    
+    try {
+      const categories = await client.query('SELECT DISTINCT category FROM leaderboard');
+      
+      for (const { category } of categories.rows) {
+        await this.recordRankSnapshots(client, category);
+      }
+      
+      return categories.rows.length;
+      
+    } finally {
+      client.release();
+    }
+  }
+
+  // Push the top of each changed leaderboard, with rank deltas, to subscribed clients
+  async broadcastLeaderboardChanges(categories, updatedUserId = null) {
+    if (!this.wsManager) {
+      return;
+    }
+    
+    const client = await pool.connect();
+    
+    try {
+      for (const category of categories) {
+        const topUsers = await client.query(
+          `SELECT l.user_id, u.username, l.rank, l.previous_rank, l.points
+           FROM leaderboard l
+           JOIN users u ON l.user_id = u.id
+           WHERE l.category = $1 AND u.is_active = true
+           ORDER BY l.rank ASC
+           LIMIT 10`,
+          [category]
+        );
+        
+        let updatedUser = null;
+        if (updatedUserId) {
+          const updatedResult = await client.query(
+            `SELECT l.user_id, u.username, l.rank, l.previous_rank, l.points
+             FROM leaderboard l
+             JOIN users u ON l.user_id = u.id
+             WHERE l.category = $1 AND l.user_id = $2`,
+            [category, updatedUserId]
+          );
+          updatedUser = updatedResult.rows[0] || null;
+        }
+        
+        this.wsManager.broadcastLeaderboardUpdate(category, topUsers.rows, updatedUser);
+      }
+    } catch (error) {
+      console.error('Leaderboard broadcast error:', error);
+    } finally {
+      client.release();
+    }
+  }
+
+  // Batch resolve multiple predictions. Each prediction is scored in its own
+  // transaction; ranks are recalculated once per affected category at the end.
   async batchResolvePredictions(resolutions) {
     const results = [];
+    const dirtyCategories = new Set();
     
     for (const resolution of resolutions) {
       try {
         const result = await this.scorePrediction(
           resolution.predictionId,
           resolution.actualOutcome,
-          resolution.resolutionData
+          resolution.resolutionData,
+          { deferRanks: true }
         );
+        result.categories.forEach(category => dirtyCategories.add(category));
         results.push(result);
       } catch (error) {
         console.error(`Failed to resolve prediction ${resolution.predictionId}:`, error);
@@ -301,9 +1433,36 @@ class ScoringSystem {
       }
     }
     
+    if (dirtyCategories.size > 0) {
+      await this.recalculateDirtyRanks(Array.from(dirtyCategories));
+      await this.invalidateLeaderboardCaches();
+      await this.broadcastLeaderboardChanges(Array.from(dirtyCategories));
+    }
+    
     return results;
   }
 
+  // Recalculate ranks for categories whose points changed under deferRanks
+  async recalculateDirtyRanks(categories) {
+    const client = await pool.connect();
+    
+    try {
+      await client.query('BEGIN');
+      
+      for (const category of categories) {
+        await this.recalculateRanks(client, category);
+      }
+      
+      await client.query('COMMIT');
+      
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
   // Resolve expired predictions
   async resolveExpiredPredictions() {
     const client = await pool.connect();
@@ -313,17 +1472,23 @@ class ScoringSystem {
         `SELECT id, event_type, event_title 
          FROM predictions 
          WHERE expires_at < NOW() 
-         AND is_resolved = false`
+         AND is_resolved = false
+         AND event_id IS NULL`
       );
       
       console.log(`Found ${expiredPredictions.rows.length} expired predictions to resolve`);
       
-      // Auto-resolve expired predictions as incorrect (0 points)
-      for (const prediction of expiredPredictions.rows) {
-        await this.scorePrediction(prediction.id, 'expired', {});
-      }
+      // Auto-resolve expired predictions for 0 points; expiry leaves streaks untouched.
+      // Predictions on market events are resolved from FRED by the resolver instead.
+      const results = await this.batchResolvePredictions(
+        expiredPredictions.rows.map(prediction => ({
+          predictionId: prediction.id,
+          actualOutcome: 'expired',
+          resolutionData: {}
+        }))
+      );
       
-      return expiredPredictions.rows.length;
+      return results.filter(result => !result.error).length;
       
     } finally {
       client.release();
@@ -332,12 +1497,15 @@ class ScoringSystem {
 
   // Invalidate leaderboard caches
   async invalidateLeaderboardCaches() {
-    const categories = ['overall', 'cpi', 'unemployment', 'fed_rate', 'gdp', 'weekly', 'monthly'];
+    const categories = ['overall', ...this.EVENT_CATEGORIES, 'weekly', 'monthly', 'quarterly', 'rating'];
+    const sorts = ['points', 'brier', 'log'];
     
     for (const category of categories) {
-      for (let page = 1; page <= 10; page++) { // Clear first 10 pages
-        for (const limit of [20, 50, 100]) {
-          await cacheManager.del(`leaderboard:${category}_${page}_${limit}`);
+      for (const sort of sorts) {
+        for (let page = 1; page <= 10; page++) { // Clear first 10 pages
+          for (const limit of [20, 50, 100]) {
+            await cacheManager.del(`leaderboard:${category}_${sort}_${page}_${limit}`);
+          }
         }
       }
     }
@@ -353,11 +1521,14 @@ class ScoringSystem {
       let query = `
         SELECT 
           COUNT(*) as total_predictions,
-          COUNT(CASE WHEN points_awarded > 0 THEN 1 END) as correct_predictions,
+          COUNT(CASE WHEN COALESCE(is_correct, points_awarded > 0) THEN 1 END) as correct_predictions,
           AVG(confidence) as avg_confidence,
-          SUM(points_awarded) as total_points
+          SUM(points_awarded) as total_points,
+          AVG(brier_score) as avg_brier_score,
+          AVG(log_score) as avg_log_score
         FROM predictions 
-        WHERE user_id = $1 AND is_resolved = true
+        WHERE user_id = $1 AND is_resolved = true AND voided_at IS NULL
+        AND actual_outcome IS DISTINCT FROM 'expired'
       `;
       
       let params = [userId];
@@ -379,7 +1550,84 @@ class ScoringSystem {
         correctPredictions: parseInt(stats.correct_predictions),
         accuracy: parseFloat(accuracy),
         avgConfidence: stats.avg_confidence ? parseFloat(stats.avg_confidence).toFixed(2) : 0,
-        totalPoints: parseInt(stats.total_points || 0)
+        totalPoints: parseInt(stats.total_points || 0),
+        avgBrierScore: stats.avg_brier_score ? parseFloat(parseFloat(stats.avg_brier_score).toFixed(4)) : null,
+        avgLogScore: stats.avg_log_score ? parseFloat(parseFloat(stats.avg_log_score).toFixed(4)) : null
+      };
+      
+    } finally {
+      client.release();
+    }
+  }
+
+  // Get user's calibration curve: predicted probability vs observed hit rate per confidence decile
+  async getUserCalibration(userId, filters = {}) {
+    const client = await pool.connect();
+    
+    try {
+      // Expired predictions were never scored, so they are neither hits nor misses
+      let whereClause = "WHERE user_id = $1 AND is_resolved = true AND voided_at IS NULL AND actual_outcome IS DISTINCT FROM 'expired'";
+      let params = [userId];
+      
+      if (filters.eventType) {
+        params.push(filters.eventType);
+        whereClause += ` AND event_type = $${params.length}`;
+      }
+      
+      if (filters.from) {
+        params.push(filters.from);
+        whereClause += ` AND created_at >= $${params.length}`;
+      }
+      
+      if (filters.to) {
+        params.push(filters.to);
+        // A date-only bound includes the whole day
+        whereClause += /^\d{4}-\d{2}-\d{2}$/.test(filters.to)
+          ? ` AND created_at < $${params.length}::date + 1`
+          : ` AND created_at <= $${params.length}`;
+      }
+      
+      // Predictions resolved before is_correct existed fall back to points awarded
+      const result = await client.query(
+        `SELECT 
+           LEAST(FLOOR(confidence / 10), 9) as bucket,
+           COUNT(*) as predictions,
+           AVG(confidence) / 100 as predicted_probability,
+           AVG(CASE WHEN COALESCE(is_correct, points_awarded > 0) THEN 1 ELSE 0 END) as observed_frequency
+         FROM predictions 
+         ${whereClause}
+         GROUP BY bucket
+         ORDER BY bucket`,
+        params
+      );
+      
+      const rowsByBucket = new Map(result.rows.map(row => [parseInt(row.bucket), row]));
+      const totalPredictions = result.rows.reduce((sum, row) => sum + parseInt(row.predictions), 0);
+      let calibrationError = 0;
+      
+      const buckets = [];
+      for (let bucket = 0; bucket < 10; bucket++) {
+        const row = rowsByBucket.get(bucket);
+        const predictions = row ? parseInt(row.predictions) : 0;
+        const predicted = row ? parseFloat(row.predicted_probability) : null;
+        const observed = row ? parseFloat(row.observed_frequency) : null;
+        
+        if (predictions > 0) {
+          calibrationError += (predictions / totalPredictions) * Math.abs(predicted - observed);
+        }
+        
+        buckets.push({
+          range: [bucket * 10, bucket === 9 ? 100 : bucket * 10 + 9],
+          predictions,
+          predictedProbability: predicted !== null ? parseFloat(predicted.toFixed(4)) : null,
+          observedFrequency: observed !== null ? parseFloat(observed.toFixed(4)) : null
+        });
+      }
+      
+      return {
+        totalPredictions,
+        calibrationError: totalPredictions > 0 ? parseFloat(calibrationError.toFixed(4)) : null,
+        buckets
       };
       
     } finally {
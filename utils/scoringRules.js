@@ -0,0 +1,186 @@
+// Versioned scoring rules. Versions are immutable once created; one is the default and
+// market events or seasons can pin another. Resolved predictions record the version
+// that scored them, so old scores stay explainable after the rules change.
+const BASE_POINTS_RULES = ['confidence', 'brier'];
+
+const DEFAULT_RULES = {
+  basePoints: 100,
+  confidenceMultiplier: 0.01,
+  // How confidence scales base points on yes/no and higher/lower calls: 'brier' pays
+  // (1 - Brier score) of the full-confidence points, which is proper; 'confidence' pays
+  // a bonus on correct calls only, which rewards overstating confidence
+  basePointsRule: 'brier',
+  streakBonus: 10,
+  categoryStreakBonus: 5, // Extra for consecutive correct calls on the same indicator
+  difficultyMultipliers: {
+    'cpi': 1.5,
+    'unemployment': 1.3,
+    'fed_rate': 2.0,
+    'gdp': 1.8,
+    'payrolls': 1.4,
+    'housing': 1.2,
+    'retail_sales': 1.1,
+    'ppi': 1.3,
+    'custom': 1.0
+  },
+  // Share of base points for forecasting at least minDays before the lock, best tier first
+  timeBonusTiers: [
+    { minDays: 7, bonus: 0.2 },
+    { minDays: 3, bonus: 0.1 },
+    { minDays: 1, bonus: 0.05 }
+  ]
+};
+
+class ScoringRuleRegistry {
+  constructor() {
+    this.DEFAULT_RULES = DEFAULT_RULES;
+    this.BASE_POINTS_RULES = BASE_POINTS_RULES;
+    this.versions = new Map(); // version -> rules; safe to cache because versions never change
+  }
+
+  // Fill in a partial config from the built-in defaults and check its values
+  normalizeConfig(config = {}) {
+    const isNonNegative = (n) => typeof n === 'number' && Number.isFinite(n) && n >= 0;
+    const rules = {
+      ...DEFAULT_RULES,
+      ...config,
+      difficultyMultipliers: { ...DEFAULT_RULES.difficultyMultipliers, ...(config.difficultyMultipliers || {}) }
+    };
+
+    for (const key of ['basePoints', 'confidenceMultiplier', 'streakBonus', 'categoryStreakBonus']) {
+      if (!isNonNegative(rules[key])) {
+        throw new Error(`Invalid scoring rules: ${key} must be a non-negative number`);
+      }
+    }
+
+    for (const [eventType, multiplier] of Object.entries(rules.difficultyMultipliers)) {
+      if (!isNonNegative(multiplier)) {
+        throw new Error(`Invalid scoring rules: difficulty multiplier for ${eventType} must be a non-negative number`);
+      }
+    }
+
+    if (!Array.isArray(rules.timeBonusTiers) ||
+        rules.timeBonusTiers.some(tier => !isNonNegative(tier.minDays) || !isNonNegative(tier.bonus))) {
+      throw new Error('Invalid scoring rules: timeBonusTiers must be a list of { minDays, bonus }');
+    }
+
+    if (!BASE_POINTS_RULES.includes(rules.basePointsRule)) {
+      throw new Error(`Invalid scoring rules: basePointsRule must be ${BASE_POINTS_RULES.join(' or ')}`);
+    }
+
+    rules.timeBonusTiers = [...rules.timeBonusTiers].sort((a, b) => b.minDays - a.minDays);
+
+    return {
+      basePoints: rules.basePoints,
+      confidenceMultiplier: rules.confidenceMultiplier,
+      basePointsRule: rules.basePointsRule,
+      streakBonus: rules.streakBonus,
+      categoryStreakBonus: rules.categoryStreakBonus,
+      difficultyMultipliers: rules.difficultyMultipliers,
+      timeBonusTiers: rules.timeBonusTiers
+    };
+  }
+
+  formatVersion(row) {
+    return {
+      version: row.version,
+      description: row.description,
+      isDefault: row.is_default,
+      createdAt: row.created_at,
+      rules: row.config
+    };
+  }
+
+  // Rules for one version, with the version number attached
+  async getVersion(client, version) {
+    if (this.versions.has(version)) {
+      return this.versions.get(version);
+    }
+
+    const result = await client.query('SELECT version, config FROM scoring_rules WHERE version = $1', [version]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    // Versions stored before basePointsRule existed paid the confidence bonus
+    const rules = { version, ...this.normalizeConfig({ basePointsRule: 'confidence', ...result.rows[0].config }) };
+    this.versions.set(version, rules);
+    return rules;
+  }
+
+  // Rules that apply to a prediction: its event's override, then the shortest season that
+  // overrides them and was running when the forecast was made, then the default version.
+  // The forecast counts as made when its event closed, else at forecastAt.
+  async resolveRules(client, prediction, forecastAt = new Date()) {
+    const result = await client.query(
+      `WITH forecast AS (
+         SELECT COALESCE((SELECT closes_at FROM market_events WHERE id = $1), $2::timestamp) as made_at
+       )
+       SELECT COALESCE(
+         (SELECT scoring_rule_version FROM market_events WHERE id = $1),
+         (SELECT s.scoring_rule_version FROM seasons s, forecast f
+          WHERE s.scoring_rule_version IS NOT NULL AND s.starts_at <= f.made_at AND s.ends_at > f.made_at
+          ORDER BY s.ends_at - s.starts_at ASC
+          LIMIT 1),
+         (SELECT version FROM scoring_rules WHERE is_default = true)
+       ) as version`,
+      [prediction.event_id || null, forecastAt]
+    );
+
+    const version = result.rows[0].version;
+    const rules = version !== null ? await this.getVersion(client, version) : null;
+
+    // Before any version is stored, score with the built-in rules
+    return rules || { version: null, ...DEFAULT_RULES };
+  }
+
+  async listVersions(client) {
+    const result = await client.query(
+      'SELECT version, description, is_default, config, created_at FROM scoring_rules ORDER BY version DESC'
+    );
+
+    return result.rows.map(row => this.formatVersion(row));
+  }
+
+  // Store a new version; inside the caller's transaction
+  async createVersion(client, { config, description, makeDefault, createdBy }) {
+    const rules = this.normalizeConfig(config);
+
+    // Serialize version numbering
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', ['scoring_rules_version']);
+
+    const result = await client.query(
+      `INSERT INTO scoring_rules (version, description, config, created_by)
+       SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3 FROM scoring_rules
+       RETURNING *`,
+      [description || null, JSON.stringify(rules), createdBy || null]
+    );
+
+    const row = result.rows[0];
+
+    if (makeDefault) {
+      await this.setDefault(client, row.version);
+      row.is_default = true;
+    }
+
+    return this.formatVersion(row);
+  }
+
+  // Make a version the default for events and seasons without an override
+  async setDefault(client, version) {
+    await client.query('UPDATE scoring_rules SET is_default = false WHERE is_default = true AND version <> $1', [version]);
+
+    const result = await client.query(
+      'UPDATE scoring_rules SET is_default = true WHERE version = $1 RETURNING *',
+      [version]
+    );
+
+    return result.rows.length > 0 ? this.formatVersion(result.rows[0]) : null;
+  }
+}
+
+// Create singleton instance
+const scoringRules = new ScoringRuleRegistry();
+
+module.exports = scoringRules;
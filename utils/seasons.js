@@ -0,0 +1,203 @@
+const pool = require('../database/config');
+
+// Rolling competition seasons. Points count toward the season in which the
+// prediction was resolved; closed seasons keep an archived copy of their standings.
+class SeasonManager {
+  constructor() {
+    this.SEASON_TYPES = ['weekly', 'monthly', 'quarterly'];
+    this.MIN_SEASON_PREDICTIONS = 1;
+    // Badges for the top finishers of each season
+    this.SEASON_BADGES = ['gold', 'silver', 'bronze'];
+    this.MONTH_NAMES = [
+      'January', 'February', 'March', 'April', 'May', 'June',
+      'July', 'August', 'September', 'October', 'November', 'December'
+    ];
+  }
+
+  // UTC window containing the given date: weeks start Monday, months and quarters on the 1st
+  getSeasonWindow(seasonType, date = new Date()) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    let startsAt;
+    let endsAt;
+
+    if (seasonType === 'weekly') {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      startsAt = new Date(Date.UTC(year, month, date.getUTCDate() - daysSinceMonday));
+      endsAt = new Date(Date.UTC(year, month, date.getUTCDate() - daysSinceMonday + 7));
+    } else if (seasonType === 'monthly') {
+      startsAt = new Date(Date.UTC(year, month, 1));
+      endsAt = new Date(Date.UTC(year, month + 1, 1));
+    } else if (seasonType === 'quarterly') {
+      const quarterStart = Math.floor(month / 3) * 3;
+      startsAt = new Date(Date.UTC(year, quarterStart, 1));
+      endsAt = new Date(Date.UTC(year, quarterStart + 3, 1));
+    } else {
+      throw new Error(`Unknown season type: ${seasonType}`);
+    }
+
+    return { startsAt, endsAt };
+  }
+
+  getSeasonName(seasonType, startsAt) {
+    if (seasonType === 'weekly') {
+      return `Week of ${startsAt.toISOString().slice(0, 10)}`;
+    }
+
+    if (seasonType === 'monthly') {
+      return `${this.MONTH_NAMES[startsAt.getUTCMonth()]} ${startsAt.getUTCFullYear()}`;
+    }
+
+    return `Q${Math.floor(startsAt.getUTCMonth() / 3) + 1} ${startsAt.getUTCFullYear()}`;
+  }
+
+  // Current season row for a type, created on demand
+  async getCurrentSeason(client, seasonType) {
+    const { startsAt, endsAt } = this.getSeasonWindow(seasonType);
+
+    await client.query(
+      `INSERT INTO seasons (season_type, name, starts_at, ends_at)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (season_type, starts_at) DO NOTHING`,
+      [seasonType, this.getSeasonName(seasonType, startsAt), startsAt, endsAt]
+    );
+
+    const result = await client.query(
+      'SELECT * FROM seasons WHERE season_type = $1 AND starts_at = $2',
+      [seasonType, startsAt]
+    );
+
+    return result.rows[0];
+  }
+
+  // Final standings for a season window
+  async calculateStandings(client, season) {
+    const result = await client.query(
+      `SELECT
+         ROW_NUMBER() OVER (ORDER BY SUM(p.points_awarded) DESC, AVG(p.brier_score) ASC NULLS LAST, MIN(u.created_at) ASC) as rank,
+         u.id as user_id,
+         SUM(p.points_awarded) as points,
+         COUNT(p.id) as total_predictions,
+         COUNT(CASE WHEN COALESCE(p.is_correct, p.points_awarded > 0) THEN 1 END) as correct_predictions,
+         ROUND((COUNT(CASE WHEN COALESCE(p.is_correct, p.points_awarded > 0) THEN 1 END)::numeric / COUNT(p.id)) * 100, 2) as accuracy_percentage,
+         AVG(p.brier_score) as avg_brier_score
+       FROM users u
+       JOIN predictions p ON u.id = p.user_id
+         AND p.is_resolved = true
+         AND p.voided_at IS NULL
+         AND p.actual_outcome IS DISTINCT FROM 'expired'
+         AND p.resolution_date >= $1
+         AND p.resolution_date < $2
+       WHERE u.is_active = true
+       GROUP BY u.id
+       HAVING COUNT(p.id) >= $3 AND SUM(p.points_awarded) > 0
+       ORDER BY rank ASC`,
+      [season.starts_at, season.ends_at, this.MIN_SEASON_PREDICTIONS]
+    );
+
+    return result.rows;
+  }
+
+  // Archive standings and award badges for every season that has ended
+  async closeEndedSeasons() {
+    const client = await pool.connect();
+    const closed = [];
+
+    try {
+      const endedResult = await client.query(
+        `SELECT id FROM seasons
+         WHERE status = 'active' AND ends_at <= NOW()
+         ORDER BY ends_at ASC`
+      );
+
+      for (const { id } of endedResult.rows) {
+        await client.query('BEGIN');
+
+        try {
+          const seasonResult = await client.query(
+            `SELECT * FROM seasons WHERE id = $1 AND status = 'active' FOR UPDATE`,
+            [id]
+          );
+
+          if (seasonResult.rows.length === 0) {
+            await client.query('ROLLBACK');
+            continue;
+          }
+
+          const season = seasonResult.rows[0];
+          const standings = await this.calculateStandings(client, season);
+
+          for (const standing of standings) {
+            const badge = this.SEASON_BADGES[standing.rank - 1]
+              ? `${season.season_type}_${this.SEASON_BADGES[standing.rank - 1]}`
+              : null;
+            standing.badge = badge;
+
+            await client.query(
+              `INSERT INTO season_standings (season_id, user_id, rank, points, total_predictions,
+                                             correct_predictions, accuracy_percentage, avg_brier_score, badge)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+               ON CONFLICT (season_id, user_id) DO NOTHING`,
+              [
+                season.id,
+                standing.user_id,
+                standing.rank,
+                standing.points,
+                standing.total_predictions,
+                standing.correct_predictions,
+                standing.accuracy_percentage,
+                standing.avg_brier_score,
+                badge
+              ]
+            );
+          }
+
+          const closedResult = await client.query(
+            `UPDATE seasons
+             SET status = 'closed', closed_at = CURRENT_TIMESTAMP, participants = $2
+             WHERE id = $1
+             RETURNING *`,
+            [season.id, standings.length]
+          );
+
+          await client.query('COMMIT');
+
+          closed.push({
+            season: closedResult.rows[0],
+            winners: standings.filter(standing => standing.badge)
+          });
+
+        } catch (error) {
+          await client.query('ROLLBACK');
+          console.error(`Failed to close season ${id}:`, error.message);
+        }
+      }
+
+      return closed;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // Close finished seasons, then make sure the current ones exist
+  async rotate() {
+    const closed = await this.closeEndedSeasons();
+    const client = await pool.connect();
+
+    try {
+      for (const seasonType of this.SEASON_TYPES) {
+        await this.getCurrentSeason(client, seasonType);
+      }
+    } finally {
+      client.release();
+    }
+
+    return closed;
+  }
+}
+
+// Create singleton instance
+const seasonManager = new SeasonManager();
+
+module.exports = seasonManager;
@@ -0,0 +1,424 @@
+const pool = require('../database/config');
+const fredClient = require('./fred');
+
+// Local store of the FRED series we track, synced incrementally. Every value is kept
+// with the realtime range it was current for, so a revision closes the old row and
+// adds a new one. The first sync loads every ALFRED vintage, so queries can read the
+// latest value of each observation or the value as it stood on any date.
+class SeriesStore {
+  constructor() {
+    this.TRACKED_SERIES = {
+      'CPIAUCSL': { title: 'Consumer Price Index', frequency: 'monthly' },
+      'UNRATE': { title: 'Unemployment Rate', frequency: 'monthly' },
+      'FEDFUNDS': { title: 'Federal Funds Rate', frequency: 'monthly' },
+      'GDP': { title: 'Gross Domestic Product', frequency: 'quarterly' },
+      'PAYEMS': { title: 'Nonfarm Payrolls', frequency: 'monthly' },
+      'PPIACO': { title: 'Producer Price Index', frequency: 'monthly' },
+      'RSAFS': { title: 'Retail Sales', frequency: 'monthly' },
+      'HOUST': { title: 'Housing Starts', frequency: 'monthly' },
+      'DGS3MO': { title: '3-Month Treasury Yield', frequency: 'daily' },
+      'DGS2': { title: '2-Year Treasury Yield', frequency: 'daily' },
+      'DGS10': { title: '10-Year Treasury Yield', frequency: 'daily' }
+    };
+    this.FREQUENCIES = ['monthly', 'quarterly', 'annual'];
+    this.AGGREGATIONS = ['avg', 'sum', 'eop'];
+    // FRED unit codes: level, change, change from a year ago, % change, % change from a year ago,
+    // compounded annual rate of change
+    this.UNITS = ['lin', 'chg', 'ch1', 'pch', 'pc1', 'pca'];
+    this.PERIODS_PER_YEAR = { daily: 260, weekly: 52, monthly: 12, quarterly: 4, annual: 1 };
+    this.SYNC_START = process.env.SERIES_SYNC_START || '2000-01-01';
+    // How far back each sync re-reads observations to pick up revisions
+    this.REVISION_WINDOW_DAYS = { daily: 60, monthly: 5 * 365, quarterly: 5 * 365 };
+    this.PAGE_SIZE = 100000; // FRED's maximum per request
+  }
+
+  // FRED dates follow US Central time
+  today() {
+    return this.toDate(new Date());
+  }
+
+  // Calendar date of a timestamp in FRED's time zone, as YYYY-MM-DD
+  toDate(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+  }
+
+  addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  }
+
+  async fetchAll(seriesId, options) {
+    const observations = [];
+    let count = Infinity;
+
+    while (observations.length < count) {
+      const data = await fredClient.getObservations(seriesId, {
+        ...options,
+        limit: this.PAGE_SIZE,
+        offset: observations.length
+      });
+      const page = data.observations || [];
+      count = data.count !== undefined ? data.count : page.length;
+      observations.push(...page);
+      if (page.length === 0) break;
+    }
+
+    return observations;
+  }
+
+  // Pull new and revised observations for a series. Asking FRED for every value current
+  // since the last sync returns the old value closed at its revision and the new one
+  // starting there, which is merged into the stored ranges. Until a series has its
+  // vintage history, the sync replaces what is stored with every ALFRED vintage.
+  async syncSeries(seriesId) {
+    const client = await pool.connect();
+
+    try {
+      const stateResult = await client.query(
+        `SELECT last_synced_on::text as last_synced_on, last_observation_date::text as last_observation_date,
+                vintages_from::text as vintages_from
+         FROM series_sync WHERE series_id = $1`,
+        [seriesId]
+      );
+      const state = stateResult.rows[0];
+      const backfill = !state || !state.vintages_from;
+      const today = this.today();
+      const tracked = this.TRACKED_SERIES[seriesId];
+      const windowDays = this.REVISION_WINDOW_DAYS[tracked ? tracked.frequency : 'monthly'];
+
+      let observationStart = this.SYNC_START;
+      if (!backfill && state.last_observation_date) {
+        const windowStart = this.addDays(state.last_observation_date, -windowDays);
+        observationStart = windowStart > observationStart ? windowStart : observationStart;
+      }
+
+      const observations = await this.fetchAll(seriesId, {
+        observationStart,
+        realtimeStart: backfill ? fredClient.ALFRED_START : state.last_synced_on,
+        realtimeEnd: fredClient.OPEN_END
+      });
+
+      const rows = observations
+        .map(obs => ({
+          date: obs.date,
+          realtimeStart: obs.realtime_start,
+          realtimeEnd: obs.realtime_end,
+          value: obs.value === '.' ? null : obs.value
+        }))
+        .sort((a, b) => a.date.localeCompare(b.date) || a.realtimeStart.localeCompare(b.realtimeStart));
+
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`series_sync:${seriesId}`]);
+
+      // Full vintage history replaces values first seen by earlier syncs
+      if (backfill) {
+        await client.query(
+          'DELETE FROM series_observations WHERE series_id = $1 AND observation_date >= $2',
+          [seriesId, observationStart]
+        );
+      }
+
+      const columns = [
+        seriesId,
+        rows.map(row => row.date),
+        rows.map(row => row.realtimeStart),
+        rows.map(row => row.realtimeEnd),
+        rows.map(row => row.value)
+      ];
+      const fetched = `unnest($2::date[], $3::date[], $4::date[], $5::numeric[])
+                       AS f(observation_date, realtime_start, realtime_end, value)`;
+
+      // Stored value still current at the start of the fetched range: extend it
+      const extended = await client.query(
+        `UPDATE series_observations s
+         SET realtime_end = f.realtime_end, fetched_at = CURRENT_TIMESTAMP
+         FROM ${fetched}
+         WHERE s.series_id = $1 AND s.observation_date = f.observation_date
+         AND s.realtime_start <= f.realtime_start AND s.realtime_end >= f.realtime_start
+         AND s.value IS NOT DISTINCT FROM f.value`,
+        columns
+      );
+
+      // Stored value replaced by a revision: close it the day before
+      const revised = await client.query(
+        `UPDATE series_observations s
+         SET realtime_end = f.realtime_start - 1
+         FROM ${fetched}
+         WHERE s.series_id = $1 AND s.observation_date = f.observation_date
+         AND s.realtime_start < f.realtime_start AND s.realtime_end >= f.realtime_start
+         AND s.value IS DISTINCT FROM f.value`,
+        columns
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO series_observations (series_id, observation_date, realtime_start, realtime_end, value)
+         SELECT $1, f.observation_date, f.realtime_start, f.realtime_end, f.value
+         FROM ${fetched}
+         WHERE NOT EXISTS (
+           SELECT 1 FROM series_observations s
+           WHERE s.series_id = $1 AND s.observation_date = f.observation_date
+           AND s.realtime_start <= f.realtime_start AND s.realtime_end >= f.realtime_start
+           AND s.value IS NOT DISTINCT FROM f.value
+         )
+         ON CONFLICT (series_id, observation_date, realtime_start)
+         DO UPDATE SET value = EXCLUDED.value, realtime_end = EXCLUDED.realtime_end, fetched_at = CURRENT_TIMESTAMP`,
+        columns
+      );
+
+      await client.query(
+        `INSERT INTO series_sync (series_id, last_synced_on, last_synced_at, last_observation_date, observation_count, vintages_from)
+         SELECT $1, $2, NOW(), MAX(observation_date), COUNT(DISTINCT observation_date), $3::date
+         FROM series_observations WHERE series_id = $1
+         ON CONFLICT (series_id)
+         DO UPDATE SET last_synced_on = EXCLUDED.last_synced_on, last_synced_at = EXCLUDED.last_synced_at,
+                       last_observation_date = EXCLUDED.last_observation_date, observation_count = EXCLUDED.observation_count,
+                       vintages_from = COALESCE(series_sync.vintages_from, EXCLUDED.vintages_from)`,
+        [seriesId, today, backfill ? observationStart : null]
+      );
+
+      await client.query('COMMIT');
+
+      return {
+        seriesId,
+        backfilled: backfill,
+        fetched: rows.length,
+        inserted: inserted.rowCount,
+        revised: revised.rowCount,
+        unchanged: extended.rowCount
+      };
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Sync every tracked series; one failure does not stop the others
+  async syncAll(seriesIds = Object.keys(this.TRACKED_SERIES)) {
+    const results = [];
+
+    for (const seriesId of seriesIds) {
+      try {
+        results.push(await this.syncSeries(seriesId));
+      } catch (error) {
+        console.error(`Failed to sync series ${seriesId}:`, error.message);
+        results.push({ seriesId, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  async getSyncState(client, seriesId) {
+    const result = await client.query('SELECT * FROM series_sync WHERE series_id = $1', [seriesId]);
+    return result.rows[0] || null;
+  }
+
+  async listSeries(client) {
+    const result = await client.query('SELECT * FROM series_sync ORDER BY series_id');
+    const states = new Map(result.rows.map(row => [row.series_id, row]));
+    const ids = [...new Set([...Object.keys(this.TRACKED_SERIES), ...states.keys()])];
+
+    return ids.map(seriesId => {
+      const state = states.get(seriesId);
+      const tracked = this.TRACKED_SERIES[seriesId] || {};
+      return {
+        seriesId,
+        title: tracked.title || null,
+        frequency: tracked.frequency || null,
+        tracked: Boolean(this.TRACKED_SERIES[seriesId]),
+        lastSyncedAt: state ? state.last_synced_at : null,
+        lastObservationDate: state ? state.last_observation_date : null,
+        observations: state ? state.observation_count : 0
+      };
+    });
+  }
+
+  getPeriodStart(date, frequency) {
+    const year = date.slice(0, 4);
+    const month = parseInt(date.slice(5, 7));
+
+    if (frequency === 'annual') return `${year}-01-01`;
+    if (frequency === 'quarterly') return `${year}-${String(Math.floor((month - 1) / 3) * 3 + 1).padStart(2, '0')}-01`;
+    return `${date.slice(0, 7)}-01`;
+  }
+
+  // Aggregate to a lower frequency, dated at the start of each period like FRED
+  convertFrequency(observations, frequency, aggregation = 'avg') {
+    const periods = new Map();
+
+    for (const obs of observations) {
+      const period = this.getPeriodStart(obs.date, frequency);
+      if (!periods.has(period)) periods.set(period, []);
+      periods.get(period).push(obs.value);
+    }
+
+    return Array.from(periods.entries()).map(([date, values]) => {
+      let value;
+      if (aggregation === 'eop') {
+        value = values[values.length - 1];
+      } else {
+        const sum = values.reduce((total, v) => total + v, 0);
+        value = aggregation === 'sum' ? sum : sum / values.length;
+      }
+      return { date, value };
+    });
+  }
+
+  // Observations a year at the series frequency, or inferred from the spacing of the observations
+  getPeriodsPerYear(observations, frequency) {
+    if (this.PERIODS_PER_YEAR[frequency]) return this.PERIODS_PER_YEAR[frequency];
+    if (observations.length < 2) return null;
+
+    const first = new Date(observations[0].date);
+    const last = new Date(observations[observations.length - 1].date);
+    const days = (last - first) / (24 * 60 * 60 * 1000) / (observations.length - 1);
+    return days > 0 ? Math.round(365 / days) : null;
+  }
+
+  applyUnits(observations, units, frequency) {
+    if (units === 'lin') return observations;
+
+    const yearAgo = units === 'ch1' || units === 'pc1';
+    const periodsPerYear = units === 'pca' ? this.getPeriodsPerYear(observations, frequency) : null;
+    let j = 0;
+
+    return observations.map((obs, i) => {
+      let base = observations[i - 1];
+
+      // Latest observation on or up to a week before the same date a year earlier
+      if (yearAgo) {
+        const target = `${parseInt(obs.date.slice(0, 4)) - 1}${obs.date.slice(4)}`;
+        while (j + 1 < i && observations[j + 1].date <= target) j++;
+        base = observations[j].date <= target && observations[j].date >= this.addDays(target, -7)
+          ? observations[j]
+          : null;
+      }
+
+      if (!base) return { date: obs.date, value: null };
+      if (units === 'chg' || units === 'ch1') return { date: obs.date, value: obs.value - base.value };
+      if (units === 'pca') {
+        return {
+          date: obs.date,
+          value: base.value > 0 && obs.value >= 0 && periodsPerYear
+            ? (Math.pow(obs.value / base.value, periodsPerYear) - 1) * 100
+            : null
+        };
+      }
+      return { date: obs.date, value: base.value !== 0 ? (obs.value / base.value - 1) * 100 : null };
+    });
+  }
+
+  // Latest value of each observation, or the value current on asOf, optionally
+  // converted and transformed
+  async getObservations(client, seriesId, options = {}) {
+    const { start, end, frequency, limit, asOf } = options;
+    const aggregation = options.aggregation || 'avg';
+    const units = options.units || 'lin';
+    const sortOrder = options.sortOrder || 'asc';
+
+    // Changes and period averages need the observations before the requested range
+    const queryStart = start && (units !== 'lin' || frequency)
+      ? this.addDays(this.getPeriodStart(start, 'annual'), -366)
+      : start;
+
+    const params = [seriesId];
+    let whereClause = 'WHERE series_id = $1';
+
+    if (queryStart) {
+      params.push(queryStart);
+      whereClause += ` AND observation_date >= $${params.length}`;
+    }
+    if (end) {
+      params.push(end);
+      whereClause += ` AND observation_date <= $${params.length}`;
+    }
+    if (asOf) {
+      params.push(asOf);
+      whereClause += ` AND realtime_start <= $${params.length} AND realtime_end >= $${params.length}`;
+    }
+
+    const result = await client.query(
+      `SELECT observation_date::text as date, value
+       FROM (
+         SELECT DISTINCT ON (observation_date) observation_date, value
+         FROM series_observations
+         ${whereClause}
+         ORDER BY observation_date, realtime_start DESC
+       ) latest
+       WHERE value IS NOT NULL
+       ORDER BY observation_date ASC`,
+      params
+    );
+
+    let observations = result.rows.map(row => ({ date: row.date, value: parseFloat(row.value) }));
+
+    if (frequency) {
+      observations = this.convertFrequency(observations, frequency, aggregation);
+    }
+
+    const seriesFrequency = frequency || (this.TRACKED_SERIES[seriesId] || {}).frequency || null;
+    observations = this.applyUnits(observations, units, seriesFrequency)
+      .filter(obs => obs.value !== null && (!start || obs.date >= (frequency ? this.getPeriodStart(start, frequency) : start)))
+      .map(obs => ({ date: obs.date, value: parseFloat(obs.value.toFixed(6)) }));
+
+    if (sortOrder === 'desc') {
+      observations.reverse();
+    }
+    if (limit) {
+      observations = observations.slice(0, limit);
+    }
+
+    return {
+      seriesId,
+      frequency: seriesFrequency,
+      aggregation: frequency ? aggregation : null,
+      units,
+      asOf: asOf || null,
+      observations
+    };
+  }
+
+  // Every value an observation has had, oldest first
+  async getVintages(client, seriesId, observationDate) {
+    const result = await client.query(
+      `SELECT realtime_start::text as realtime_start, realtime_end::text as realtime_end, value
+       FROM series_observations
+       WHERE series_id = $1 AND observation_date = $2 AND value IS NOT NULL
+       ORDER BY realtime_start ASC`,
+      [seriesId, observationDate]
+    );
+
+    return result.rows.map(row => ({
+      realtimeStart: row.realtime_start,
+      realtimeEnd: row.realtime_end === fredClient.OPEN_END ? null : row.realtime_end,
+      value: parseFloat(row.value)
+    }));
+  }
+}
+
+// Create singleton instance
+const seriesStore = new SeriesStore();
+
+// Sync from the command line: node utils/seriesStore.js [SERIES_ID ...]
+if (require.main === module) {
+  const seriesIds = process.argv.slice(2).map(id => id.toUpperCase());
+
+  seriesStore.syncAll(seriesIds.length > 0 ? seriesIds : undefined)
+    .then((results) => {
+      results.forEach(result => console.log(result.error
+        ? `❌ ${result.seriesId}: ${result.error}`
+        : `✅ ${result.seriesId}: ${result.inserted} new, ${result.revised} revised, ${result.unchanged} unchanged`));
+      return pool.end();
+    })
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('Series sync failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = seriesStore;
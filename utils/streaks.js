@@ -0,0 +1,186 @@
+// Win streaks, kept overall and per event-type category. A correct prediction extends
+// a streak and an incorrect one ends it. Expired and voided predictions are skipped:
+// they neither extend nor break a streak, and neither do events the user sat out.
+class StreakTracker {
+  constructor() {
+    this.SKIPPED_OUTCOMES = ['expired', 'void'];
+    // Ended streaks shorter than this are not kept in the history
+    this.MIN_HISTORY_STREAK = 2;
+  }
+
+  // 'win', 'loss' or 'skip' for a scored prediction
+  classifyResult(actualOutcome, isCorrect) {
+    if (this.SKIPPED_OUTCOMES.includes(String(actualOutcome).toLowerCase())) {
+      return 'skip';
+    }
+
+    return isCorrect ? 'win' : 'loss';
+  }
+
+  // Apply one result to the user's streak in each category, inside the caller's transaction.
+  // Returns { [category]: { current, best, previous, isPersonalBest } }
+  async applyResult(client, userId, categories, result, predictionId) {
+    const streaks = {};
+
+    for (const category of categories) {
+      await client.query(
+        `INSERT INTO user_streaks (user_id, category)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id, category) DO NOTHING`,
+        [userId, category]
+      );
+
+      const streakResult = await client.query(
+        'SELECT * FROM user_streaks WHERE user_id = $1 AND category = $2 FOR UPDATE',
+        [userId, category]
+      );
+      const row = streakResult.rows[0];
+      const previous = row.current_streak;
+
+      if (result === 'skip') {
+        streaks[category] = { current: previous, best: row.best_streak, previous, isPersonalBest: false };
+        continue;
+      }
+
+      if (result === 'loss') {
+        if (previous >= this.MIN_HISTORY_STREAK) {
+          await client.query(
+            `INSERT INTO streak_history (user_id, category, length, started_at, ended_at, ended_by_prediction_id)
+             VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)`,
+            [userId, category, previous, row.started_at, predictionId]
+          );
+        }
+
+        await client.query(
+          `UPDATE user_streaks
+           SET current_streak = 0, started_at = NULL, updated_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1 AND category = $2`,
+          [userId, category]
+        );
+
+        streaks[category] = { current: 0, best: row.best_streak, previous, isPersonalBest: false };
+        continue;
+      }
+
+      const current = previous + 1;
+      const isPersonalBest = current > row.best_streak;
+
+      await client.query(
+        `UPDATE user_streaks
+         SET current_streak = $3,
+             started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+             best_streak = GREATEST(best_streak, $3),
+             best_streak_at = CASE WHEN $3 > best_streak THEN CURRENT_TIMESTAMP ELSE best_streak_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1 AND category = $2`,
+        [userId, category, current]
+      );
+
+      streaks[category] = {
+        current,
+        best: Math.max(current, row.best_streak),
+        previous,
+        isPersonalBest
+      };
+    }
+
+    return streaks;
+  }
+
+  // Replay every resolved prediction in resolution order and rewrite the user's streaks and
+  // history. Used when a past result is voided or re-scored, since later streaks built on it.
+  // getCategories(eventType) returns the categories a prediction counts toward.
+  async rebuildStreaks(client, userId, getCategories) {
+    const predictionsResult = await client.query(
+      `SELECT id, event_type, actual_outcome, COALESCE(is_correct, points_awarded > 0) as is_correct, resolution_date
+       FROM predictions
+       WHERE user_id = $1 AND is_resolved = true
+       ORDER BY resolution_date ASC, created_at ASC`,
+      [userId]
+    );
+
+    const states = new Map();
+    const history = [];
+
+    for (const prediction of predictionsResult.rows) {
+      const result = this.classifyResult(prediction.actual_outcome, prediction.is_correct);
+
+      for (const category of getCategories(prediction.event_type)) {
+        if (!states.has(category)) {
+          states.set(category, { current: 0, startedAt: null, best: 0, bestAt: null });
+        }
+
+        const state = states.get(category);
+
+        if (result === 'win') {
+          state.current += 1;
+          state.startedAt = state.startedAt || prediction.resolution_date;
+          if (state.current > state.best) {
+            state.best = state.current;
+            state.bestAt = prediction.resolution_date;
+          }
+        } else if (result === 'loss') {
+          if (state.current >= this.MIN_HISTORY_STREAK) {
+            history.push([category, state.current, state.startedAt, prediction.resolution_date, prediction.id]);
+          }
+          state.current = 0;
+          state.startedAt = null;
+        }
+      }
+    }
+
+    await client.query('DELETE FROM user_streaks WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM streak_history WHERE user_id = $1', [userId]);
+
+    for (const [category, state] of states) {
+      await client.query(
+        `INSERT INTO user_streaks (user_id, category, current_streak, started_at, best_streak, best_streak_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, category, state.current, state.startedAt, state.best, state.bestAt]
+      );
+    }
+
+    for (const [category, length, startedAt, endedAt, predictionId] of history) {
+      await client.query(
+        `INSERT INTO streak_history (user_id, category, length, started_at, ended_at, ended_by_prediction_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [userId, category, length, startedAt, endedAt, predictionId]
+      );
+    }
+
+    const overall = states.get('overall');
+    return overall ? overall.current : 0;
+  }
+
+  // Current and best streak for every category the user has played
+  async getUserStreaks(client, userId) {
+    const result = await client.query(
+      `SELECT category, current_streak, best_streak, best_streak_at, started_at
+       FROM user_streaks
+       WHERE user_id = $1
+       ORDER BY category = 'overall' DESC, best_streak DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Longest ended streaks, best first
+  async getStreakHistory(client, userId, limit = 10) {
+    const result = await client.query(
+      `SELECT category, length, started_at, ended_at
+       FROM streak_history
+       WHERE user_id = $1
+       ORDER BY length DESC, ended_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+// Create singleton instance
+const streakTracker = new StreakTracker();
+
+module.exports = streakTracker;
@@ -0,0 +1,323 @@
+const pool = require('../database/config');
+const fredResolver = require('./resolver');
+const seriesStore = require('./seriesStore');
+const scoringSystem = require('./scoring');
+const consensusEngine = require('./consensus');
+
+// Crowd-vs-baseline track record over resolved market events. Each forecaster gives a
+// point estimate of the released value and probabilities for lower / same / higher,
+// scored with the same functions ScoringSystem uses for user predictions.
+class TrackRecordReport {
+  constructor() {
+    this.FORECASTERS = ['crowd', 'crowd_weighted', 'naive', 'random_walk', 'ar1'];
+    this.OUTCOMES = ['lower', 'same', 'higher']; // Ordered for the ranked probability score
+    this.PERIODS = ['month', 'quarter', 'year'];
+    // Observations used to estimate drift, volatility and the AR(1) fit
+    this.DRIFT_WINDOW = 12;
+    this.AR_WINDOW = 60;
+    this.MIN_HISTORY = 3;
+  }
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26)
+  normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  mean(values) {
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+  }
+
+  standardDeviation(values) {
+    if (values.length < 2) return 0;
+    const m = this.mean(values);
+    return Math.sqrt(values.reduce((sum, v) => sum + (v - m) * (v - m), 0) / (values.length - 1));
+  }
+
+  differences(values) {
+    return values.slice(1).map((value, i) => value - values[i]);
+  }
+
+  // Baseline point forecasts with the spread of their errors, from observations before the target
+  buildBaselines(history) {
+    const last = history[history.length - 1];
+    const changes = this.differences(history.slice(-(this.DRIFT_WINDOW + 1)));
+    const drift = changes.length > 0 ? this.mean(changes) : 0;
+
+    const baselines = {
+      // Same as the last observation
+      naive: { point: last, sigma: Math.sqrt(this.mean(changes.map(c => c * c))) || 0 },
+      // Last observation plus the recent average change
+      random_walk: { point: last + drift, sigma: this.standardDeviation(changes) }
+    };
+
+    // y[t] = c + phi * y[t-1], fit by least squares
+    const window = history.slice(-this.AR_WINDOW);
+    const x = window.slice(0, -1);
+    const y = window.slice(1);
+    const xMean = this.mean(x);
+    const yMean = this.mean(y);
+    const variance = x.reduce((sum, v) => sum + (v - xMean) * (v - xMean), 0);
+
+    if (variance > 0) {
+      const phi = x.reduce((sum, v, i) => sum + (v - xMean) * (y[i] - yMean), 0) / variance;
+      const c = yMean - phi * xMean;
+      const residuals = y.map((v, i) => v - (c + phi * x[i]));
+      baselines.ar1 = { point: c + phi * last, sigma: this.standardDeviation(residuals) };
+    } else {
+      baselines.ar1 = { ...baselines.naive };
+    }
+
+    return baselines;
+  }
+
+  // Change treated as "same": the event's threshold, or half the smallest move the series reports
+  getSameBand(history, threshold) {
+    if (threshold > 0) return threshold;
+    const moves = this.differences(history).map(Math.abs).filter(move => move > 0);
+    return moves.length > 0 ? Math.min(...moves) / 2 : 0;
+  }
+
+  // Probabilities of lower / same / higher from a normal forecast of the next value
+  outcomeProbabilities(point, sigma, last, band) {
+    const change = point - last;
+
+    if (!(sigma > 0)) {
+      const outcome = change > band ? 'higher' : change < -band ? 'lower' : 'same';
+      return Object.fromEntries(this.OUTCOMES.map(o => [o, o === outcome ? 1 : 0]));
+    }
+
+    const lower = this.normalCdf((-band - change) / sigma);
+    const higher = 1 - this.normalCdf((band - change) / sigma);
+    return { lower, same: Math.max(0, 1 - lower - higher), higher };
+  }
+
+  // Score one forecaster on one event with ScoringSystem's own scoring functions
+  scoreForecast(event, actualOutcome, resolutionData, forecast, tolerancesApply = true) {
+    const scores = { absoluteError: null, hit: null, brierScore: null, logScore: null, rps: null };
+
+    if (forecast.point !== null && forecast.point !== undefined) {
+      const numeric = scoringSystem.evaluateNumericForecast({
+        event_type: event.event_type,
+        prediction_value: { point: forecast.point }
+      }, resolutionData);
+      scores.absoluteError = numeric.absoluteError;
+      scores.hit = tolerancesApply ? numeric.isCorrect : null;
+    }
+
+    if (forecast.probabilities && this.OUTCOMES.includes(actualOutcome)) {
+      const distribution = scoringSystem.evaluateDistributionForecast({
+        prediction_value: {
+          buckets: this.OUTCOMES.map(outcome => ({ label: outcome, probability: forecast.probabilities[outcome] * 100 }))
+        }
+      }, actualOutcome, resolutionData);
+      scores.brierScore = distribution.brierScore;
+      scores.logScore = distribution.logScore;
+      scores.rps = distribution.rps;
+    }
+
+    return scores;
+  }
+
+  getPeriod(date, period) {
+    const year = date.slice(0, 4);
+    const month = parseInt(date.slice(5, 7));
+
+    if (period === 'year') return year;
+    if (period === 'quarter') return `${year}-Q${Math.floor((month - 1) / 3) + 1}`;
+    return date.slice(0, 7);
+  }
+
+  // Observations before the event's target date, oldest first, in the units the event resolved in.
+  // With asOf, the values as published on that date rather than as revised since.
+  async getHistory(client, seriesId, observationDate, { units = 'lin', asOf } = {}) {
+    const { observations } = await seriesStore.getObservations(client, seriesId, {
+      end: seriesStore.addDays(observationDate, -1),
+      units,
+      asOf
+    });
+
+    return observations.map(obs => obs.value);
+  }
+
+  // Per-event scores for every forecaster
+  async scoreEvents({ category, from, to } = {}) {
+    const client = await pool.connect();
+    const rows = [];
+
+    try {
+      const params = [];
+      let whereClause = `WHERE status = 'resolved' AND metadata->'resolution' ? 'actualValue'`;
+
+      if (category) {
+        params.push(category);
+        whereClause += ` AND event_type = $${params.length}`;
+      }
+      if (from) {
+        params.push(from);
+        whereClause += ` AND resolves_at >= $${params.length}`;
+      }
+      if (to) {
+        params.push(to);
+        whereClause += ` AND resolves_at < $${params.length}`;
+      }
+
+      const eventsResult = await client.query(
+        `SELECT * FROM market_events ${whereClause} ORDER BY resolves_at ASC`,
+        params
+      );
+
+      for (const event of eventsResult.rows) {
+        const metadata = event.metadata || {};
+        const resolutionData = metadata.resolution;
+        const seriesId = resolutionData.seriesId || fredResolver.getSeriesId(event);
+        const observationDate = resolutionData.observationDate || metadata.observation_date;
+
+        if (!seriesId || !observationDate) continue;
+
+        let history;
+        try {
+          // Baselines only see the data forecasters had when the event closed
+          history = await this.getHistory(client, seriesId, observationDate, {
+            units: resolutionData.units || 'lin',
+            asOf: event.closes_at ? seriesStore.toDate(event.closes_at) : resolutionData.vintageDate
+          });
+        } catch (error) {
+          console.error(`Track record: no history for ${seriesId}:`, error.message);
+          continue;
+        }
+
+        if (history.length < this.MIN_HISTORY) continue;
+
+        // Tolerances are set in the units the event type is forecast in, e.g. annualized growth
+        // for GDP; a value resolved in other units, like a level from before the default, gets no hit
+        const tolerancesApply = (resolutionData.units || 'lin') === fredResolver.getUnits(event);
+
+        const last = history[history.length - 1];
+        const band = this.getSameBand(history, metadata.threshold || 0);
+        const consensus = await consensusEngine.getFinalConsensus(client, event);
+        const crowdProbabilities = (variant) => {
+          const categorical = consensus.categorical;
+          if (!categorical || !this.OUTCOMES.every(outcome => outcome in categorical[variant])) return null;
+          return categorical[variant];
+        };
+
+        const forecasts = {
+          crowd: {
+            point: consensus.numeric ? consensus.numeric.median : null,
+            probabilities: crowdProbabilities('probabilities')
+          },
+          crowd_weighted: {
+            point: consensus.numeric ? consensus.numeric.skillWeightedMedian : null,
+            probabilities: crowdProbabilities('extremized')
+          }
+        };
+
+        const baselines = this.buildBaselines(history);
+        for (const [name, baseline] of Object.entries(baselines)) {
+          forecasts[name] = {
+            point: parseFloat(baseline.point.toFixed(6)),
+            probabilities: this.outcomeProbabilities(baseline.point, baseline.sigma, last, band)
+          };
+        }
+
+        for (const forecaster of this.FORECASTERS) {
+          const forecast = forecasts[forecaster];
+          if (forecast.point === null && !forecast.probabilities) continue;
+
+          rows.push({
+            eventId: event.id,
+            title: event.title,
+            category: event.event_type,
+            observationDate,
+            actualValue: resolutionData.actualValue,
+            actualOutcome: event.outcome,
+            forecaster,
+            forecasters: forecaster.startsWith('crowd') ? consensus.forecasters : null,
+            point: forecast.point,
+            ...this.scoreForecast(event, event.outcome, resolutionData, forecast, tolerancesApply)
+          });
+        }
+      }
+
+      return rows;
+
+    } finally {
+      client.release();
+    }
+  }
+
+  // Average the per-event scores by category, period and forecaster, with skill against the naive baseline
+  summarize(rows, period = 'quarter') {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const periodKey = this.getPeriod(row.observationDate, period);
+      const key = `${row.category}|${periodKey}|${row.forecaster}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { category: row.category, period: periodKey, forecaster: row.forecaster, rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+
+    const average = (items, field) => {
+      const values = items.map(item => item[field]).filter(value => value !== null && value !== undefined);
+      return values.length > 0 ? parseFloat(this.mean(values).toFixed(6)) : null;
+    };
+
+    const summaries = Array.from(groups.values()).map(group => {
+      const hits = group.rows.filter(row => row.hit !== null);
+      return {
+        category: group.category,
+        period: group.period,
+        forecaster: group.forecaster,
+        events: group.rows.length,
+        meanAbsoluteError: average(group.rows, 'absoluteError'),
+        hitRate: hits.length > 0 ? parseFloat((hits.filter(row => row.hit).length / hits.length).toFixed(4)) : null,
+        brierScore: average(group.rows, 'brierScore'),
+        logScore: average(group.rows, 'logScore'),
+        rps: average(group.rows, 'rps')
+      };
+    });
+
+    // Skill scores: 1 - score / naive score, so positive beats "same as last"
+    const naive = new Map(summaries
+      .filter(summary => summary.forecaster === 'naive')
+      .map(summary => [`${summary.category}|${summary.period}`, summary]));
+    const skill = (value, baseline) => (value !== null && baseline) ? parseFloat((1 - value / baseline).toFixed(4)) : null;
+
+    for (const summary of summaries) {
+      const baseline = naive.get(`${summary.category}|${summary.period}`) || {};
+      summary.maeSkill = skill(summary.meanAbsoluteError, baseline.meanAbsoluteError);
+      summary.brierSkill = skill(summary.brierScore, baseline.brierScore);
+    }
+
+    return summaries.sort((a, b) =>
+      a.category.localeCompare(b.category) ||
+      a.period.localeCompare(b.period) ||
+      this.FORECASTERS.indexOf(a.forecaster) - this.FORECASTERS.indexOf(b.forecaster)
+    );
+  }
+
+  // RFC 4180 CSV with a header row taken from the first object's keys
+  toCSV(rows) {
+    if (rows.length === 0) return '';
+
+    const columns = Object.keys(rows[0]);
+    const escape = (value) => {
+      if (value === null || value === undefined) return '';
+      const text = String(value);
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns.join(','), ...rows.map(row => columns.map(column => escape(row[column])).join(','))].join('\n') + '\n';
+  }
+}
+
+// Create singleton instance
+const trackRecordReport = new TrackRecordReport();
+
+module.exports = trackRecordReport;
@@ -237,13 +237,61 @@ class WebSocketManager {
     console.log(`🎯 Broadcasted prediction resolution: ${predictionId} (${result.pointsAwarded} points)`);
   }
 
-  // Broadcast leaderboard updates
+  // Broadcast a market event resolution, one message per affected user
+  broadcastEventResolution(event, userSummaries) {
+    userSummaries.forEach(summary => {
+      const data = {
+        type: 'event_resolved',
+        eventId: event.id,
+        eventTitle: event.title,
+        outcome: event.outcome,
+        result: {
+          predictions: summary.predictions.map(prediction => ({
+            predictionId: prediction.predictionId,
+            isCorrect: prediction.isCorrect,
+            pointsAwarded: prediction.pointsAwarded,
+            breakdown: prediction.breakdown
+          })),
+          pointsAwarded: summary.pointsAwarded,
+          correctPredictions: summary.correctPredictions,
+          newStreak: summary.newStreak,
+          rating: summary.rating,
+          ratingChange: summary.ratingChange
+        },
+        user: {
+          id: summary.userId,
+          username: summary.username,
+          newTotalPoints: summary.newTotalPoints
+        },
+        timestamp: new Date().toISOString()
+      };
+      
+      this.io.to(`user:${summary.userId}`).emit('prediction_resolved', data);
+      
+      // Broadcast to global if significant points were awarded
+      if (summary.pointsAwarded > 100) {
+        this.io.to('global').emit('prediction_update', data);
+      }
+    });
+    
+    this.broadcastMarketEventUpdate(event, 'resolved');
+    
+    console.log(`🎯 Broadcasted event resolution: ${event.title} (${userSummaries.length} users)`);
+  }
+
+  // Broadcast leaderboard updates. rankChange is positive when a user moved up
+  // and null for users who just entered the leaderboard.
   broadcastLeaderboardUpdate(category, topUsers, updatedUser = null) {
+    const withDelta = (user) => ({
+      ...user,
+      rankChange: user.previous_rank ? user.previous_rank - user.rank : null
+    });
+    
     const data = {
       type: 'leaderboard_update',
       category,
-      topUsers: topUsers.slice(0, 10), // Top 10 users
-      updatedUser,
+      topUsers: topUsers.slice(0, 10).map(withDelta), // Top 10 users
+      updatedUser: updatedUser ? withDelta(updatedUser) : null,
       timestamp: new Date().toISOString()
     };
     
@@ -281,7 +329,7 @@ class WebSocketManager {
   broadcastMarketEventUpdate(event, type = 'opened') {
     const data = {
       type: 'market_event_update',
-      eventType: type, // 'opened', 'closing_soon', 'closed', 'resolved'
+      eventType: type, // 'opened', 'closing_soon', 'closed', 'resolved', 'rescored', 'voided'
       event: {
         id: event.id,
         title: event.title,